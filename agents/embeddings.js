@@ -0,0 +1,153 @@
+// agents/embeddings.js
+// Embedding backfill.
+// Walks the entities collection in _id order and (re)embeds every entity whose
+// embedding is missing or was made by a model other than the configured
+// provider's (see embeddings.js and the Embeddings section of database.js).
+// Progress is checkpointed in agent_context after each batch, so a run that
+// stops — limit reached, error, restart — resumes where it left off. A
+// checkpoint from another model is discarded and the walk starts over, which
+// is how everything gets re-embedded after switching model or provider.
+// Entry points: run (cron/http) and getStatus.
+
+import { ObjectId } from "mongodb";
+import { connectToMongo, refreshEmbeddings, staleEmbeddingFilter } from "../database.js";
+import { getEmbeddingProvider } from "../embeddings.js";
+import { writeRunRecord } from "./runRecords.js";
+
+const BATCH_SIZE    = 100;
+const DEFAULT_LIMIT = 2000;
+const TOPIC         = "backfill_state";
+
+const SOURCE_PROJECTION = { list: 1, key: 1, name: 1, notes: 1, wikiSummary: 1, version: 1, embedding: 1 };
+
+// ---- Checkpoint ----
+
+async function getCheckpoint() {
+  const db = await connectToMongo();
+  const ctx = await db.collection("agent_context").findOne({ agent: "embeddings", topic: TOPIC });
+  return ctx?.content ? JSON.parse(ctx.content) : null;
+}
+
+async function saveCheckpoint(checkpoint) {
+  const db = await connectToMongo();
+  await db.collection("agent_context").updateOne(
+    { agent: "embeddings", topic: TOPIC },
+    {
+      $set: {
+        agent: "embeddings",
+        topic: TOPIC,
+        content: JSON.stringify(checkpoint),
+        updatedAt: new Date(),
+        version: 1,
+      },
+    },
+    { upsert: true }
+  );
+}
+
+function freshCheckpoint(provider, all) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    dimensions: provider.dimensions,
+    all,
+    lastId: null,
+    processed: 0,
+    startedAt: new Date(),
+    completedAt: null,
+  };
+}
+
+// Resume the stored walk if it was for the same model and mode and hasn't finished.
+function resumable(checkpoint, provider, all) {
+  return checkpoint
+    && !checkpoint.completedAt
+    && checkpoint.model === provider.model
+    && checkpoint.dimensions === provider.dimensions
+    && Boolean(checkpoint.all) === all;
+}
+
+// ---- Main entry point ----
+
+// Embed up to `limit` entities. By default only entities with no embedding or
+// one from another model are visited; with `all` every entity is visited and
+// re-embedded if its text changed since it was last embedded. `restart`
+// discards the checkpoint. Returns { summary, checkpoint }.
+export async function run(trigger = "http", { limit = DEFAULT_LIMIT, restart = false, all = false } = {}) {
+  const db = await connectToMongo();
+  const provider = getEmbeddingProvider();
+  const stored = restart ? null : await getCheckpoint();
+  const checkpoint = resumable(stored, provider, all) ? stored : freshCheckpoint(provider, all);
+
+  console.log(
+    `[embeddings] starting run (trigger=${trigger}, provider=${provider.name}, model=${provider.model}, ` +
+    `${checkpoint.lastId ? `resuming after ${checkpoint.lastId}` : "from the start"})`
+  );
+
+  const summary = { scanned: 0, embedded: 0, current: 0, changed: 0, failed: 0, done: false };
+  let error = null;
+
+  while (summary.scanned < limit) {
+    const filter = all ? {} : staleEmbeddingFilter();
+    if (checkpoint.lastId) filter._id = { $gt: new ObjectId(checkpoint.lastId) };
+
+    const size = Math.min(BATCH_SIZE, limit - summary.scanned);
+    const docs = await db
+      .collection("entities")
+      .find(filter)
+      .sort({ _id: 1 })
+      .limit(size)
+      .project(SOURCE_PROJECTION)
+      .toArray();
+
+    const result = await refreshEmbeddings(docs);
+    summary.embedded += result.embedded;
+    summary.current += result.current;
+    summary.changed += result.changed;
+    summary.failed += result.failed;
+
+    // Don't move the checkpoint past entities the embedding API failed on.
+    if (result.failed) {
+      error = `embedding request failed for ${result.failed} entit${result.failed === 1 ? "y" : "ies"}`;
+      break;
+    }
+
+    summary.scanned += docs.length;
+    if (docs.length) {
+      checkpoint.lastId = docs[docs.length - 1]._id.toHexString();
+      checkpoint.processed += docs.length;
+    }
+    if (docs.length < size) {
+      checkpoint.completedAt = new Date();
+      summary.done = true;
+    }
+    await saveCheckpoint(checkpoint);
+    if (summary.done) break;
+  }
+
+  await writeRunRecord({ agent: "embeddings", trigger, summary, error });
+  console.log(`[embeddings] run complete:`, summary);
+  return { summary, checkpoint };
+}
+
+// ---- Status ----
+
+export async function getStatus() {
+  const db = await connectToMongo();
+  const entities = db.collection("entities");
+  const { name, model, dimensions, index } = getEmbeddingProvider();
+  const [total, stale, checkpoint] = await Promise.all([
+    entities.countDocuments({}),
+    entities.countDocuments(staleEmbeddingFilter()),
+    getCheckpoint(),
+  ]);
+  return {
+    provider: name,
+    model,
+    dimensions,
+    index,
+    total,
+    stale,
+    checkpoint,
+  };
+}
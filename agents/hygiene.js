@@ -26,7 +26,13 @@ export async function runForEntity(entityId, trigger = "change-stream") {
 
   try {
     ({ fixes, flagged } = await evaluate(entity, RULES));
-    await applyFixes(db, entityId, fixes);
+    const applied = await applyFixes(entityId, fixes, { trigger, expectedVersion: entity.version ?? 0 });
+    if (fixes.length && !applied) {
+      // The entity changed while rules were running. That write gets its own
+      // hygiene run (change stream or hourly batch) against the fresh document.
+      error = "entity changed during evaluation; fixes not applied";
+      fixes = [];
+    }
   } catch (err) {
     error = err.message;
     console.error(`[hygiene] error on ${entity.key}:`, err.message);
@@ -4,6 +4,7 @@
 
 import { connectToMongo } from "../database.js";
 import { findWikipediaArticle } from "../connectors/wikipedia.js";
+import { reversePlaceFields } from "../reverse.js";
 import { countryToFlag, typeToEmoji, normalizeDate } from "./hygieneHelpers.js";
 
 // Icons that indicate an intentional non-country entity.
@@ -44,6 +45,7 @@ const U3 = {
 const U4 = {
   id: "U4",
   scope: "auto",
+  remote: true,
   applies: (e, page) => !page?.tags?.includes("no-links"),
   check: (e) => !e.link,
   fix: async (e) => {
@@ -55,17 +57,32 @@ const U4 = {
   flagField: "link",
 };
 
-// U6 — country / countries missing
+// Country (plus state, and countries near a border) from the entity's
+// location — or its coords, for rows that U9 hasn't converted yet — using the
+// bundled boundary dataset. null when there's no position or it's offshore.
+function placeFromPosition(e) {
+  let location = e.location;
+  if (!location?.coordinates && typeof e.coords === "string") {
+    const [lat, lon] = e.coords.split(",").map((s) => parseFloat(s.trim()));
+    if (!isNaN(lat) && !isNaN(lon)) location = { type: "Point", coordinates: [lon, lat] };
+  }
+  if (!location?.coordinates) return null;
+  const patch = reversePlaceFields({ ...e, location });
+  return patch?.country ? patch : null;
+}
+
+// U6 — country / countries missing (reverse geocodes the location)
 const U6 = {
   id: "U6",
-  scope: "flag",
+  scope: "auto",
   applies: (e, page) => {
     if (page?.tags?.includes("no-country")) return false;
     if (e.icons?.some((i) => EXCEPTION_ICONS.includes(i))) return false;
     return true;
   },
   check: (e) => !e.country && (!e.countries || e.countries.length === 0),
-  message: (e) => `"${e.key}" (list: ${e.list}) has no country or countries field`,
+  fix: (e) => placeFromPosition(e), // null (no location, or offshore) falls through to flag
+  message: (e) => `"${e.key}" (list: ${e.list}) has no country or countries field and none could be found from its location`,
   flagField: "country",
 };
 
@@ -302,9 +319,10 @@ const T3 = {
 
 const N1 = {
   id: "N1",
-  scope: "flag",
+  scope: "auto",
   applies: (e) => e.list === "unesco",
   check: (e) => !e.country && (!e.countries || e.countries.length === 0),
+  fix: (e) => placeFromPosition(e),
   message: (e) => `UNESCO entity "${e.key}" has no country or countries field`,
   flagField: "country",
 };
@@ -312,6 +330,7 @@ const N1 = {
 const N2 = {
   id: "N2",
   scope: "auto",
+  remote: true,
   applies: (e) => e.list === "unesco" && !!e.link,
   check: (e) => e.link.includes("whc.unesco.org"),
   fix: async (e) => {
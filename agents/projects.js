@@ -3,12 +3,13 @@
 // Fetches urbanrail.net daily, diffs against existing projects entities,
 // inserts new ones, and posts to Slack.
 
-import { connectToMongo } from "../database.js";
+import { connectToMongo, recordEntityRevision, applyEntityUpdate, queueEmbeddings } from "../database.js";
 import { fetchOpenings, updateLastInsertedDate } from "../connectors/urbanrail.js";
 import { findWikipediaArticle } from "../connectors/wikipedia.js";
 import { writeRunRecord } from "./runRecords.js";
 import { postProjectOpening, postAdmin } from "../connectors/slack.js";
 import { countryToFlag, typeToEmoji, toKebabCase } from "./hygieneHelpers.js";
+import { searchKeysFor } from "../utils.js";
 
 // Human-readable type labels for name generation
 const TYPE_LABELS = {
@@ -124,9 +125,13 @@ export async function run(trigger = "cron-daily", { dryRun = false } = {}) {
   const inserted = [];
   const failed = [];
 
+  const actor = { source: "projects", trigger };
+
   for (const entity of toInsert) {
     try {
+      entity.searchKey = searchKeysFor(entity);
       await db.collection("entities").insertOne(entity);
+      await recordEntityRevision({ op: "create", before: null, after: entity, actor });
       inserted.push(entity);
       existingKeys.add(entity.key);
     } catch (err) {
@@ -134,14 +139,16 @@ export async function run(trigger = "cron-daily", { dryRun = false } = {}) {
       failed.push({ key: entity.key, error: err.message });
     }
   }
+  queueEmbeddings(inserted);
 
   // Update prefix on fuzzy-matched undated entities
   const updated = [];
   for (const { existing, newPrefix } of toUpdate) {
     try {
-      await db.collection("entities").updateOne(
+      await applyEntityUpdate(
         { _id: existing._id },
-        { $set: { prefix: newPrefix, updatedAt: new Date() } }
+        { $set: { prefix: newPrefix, updatedAt: new Date() } },
+        { actor }
       );
       updated.push({ key: existing.key, prefix: newPrefix });
       console.log(`[projects] updated prefix on ${existing.key}: ${existing.prefix} → ${newPrefix}`);
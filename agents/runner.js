@@ -4,6 +4,7 @@
 // Pure evaluation is separate from application — nothing is written here.
 
 import { getPage } from "./pageCache.js";
+import { applyEntityUpdate } from "../database.js";
 
 // ---- Types (JSDoc for clarity) ----
 //
@@ -14,13 +15,33 @@ import { getPage } from "./pageCache.js";
 //   check: (entity, page) => boolean,         // true = problem found
 //   fix: (entity, page) => object | null,     // field patches for $set (auto only)
 //   message: (entity, page) => string,        // human-readable for logs/UI
+//   remote?: boolean,                         // fix() calls an external service
 // }
 //
 // Note: fix() may return null to fall through from auto → flag
 // (e.g. U4 tries to find a Wikipedia link; if it can't, it flags instead)
 
-export async function evaluate(entity, rules) {
-  const page = await getPage(entity.list);
+// The flag a rule raises, whether it is flag-scoped or an auto rule whose fix()
+// returned null.
+function flagFor(rule, entity, page) {
+  let msg;
+  try {
+    msg = rule.message(entity, page);
+  } catch {
+    msg = `Rule ${rule.id} triggered`;
+  }
+  return {
+    rule: rule.id,
+    field: rule.flagField ?? "unknown",
+    message: msg,
+    value: rule.flagValue ? rule.flagValue(entity) : undefined,
+  };
+}
+
+// Pass `page` to evaluate against a page document that may not be in the
+// page cache yet (e.g. a list created moments before a bulk import).
+export async function evaluate(entity, rules, { page: pageDoc = null } = {}) {
+  const page = pageDoc ?? await getPage(entity.list);
   const fixes = [];
   const flagged = [];
 
@@ -75,39 +96,26 @@ export async function evaluate(entity, rules) {
         });
       } else {
         // fix() returned null — fall through to flag
-        flagged.push({
-          rule: rule.id,
-          field: "unknown",
-          message: rule.message(entity, page),
-          value: null,
-        });
+        flagged.push(flagFor(rule, entity, page));
       }
     } else {
-      // flag scope
-      let msg;
-      try {
-        msg = rule.message(entity, page);
-      } catch {
-        msg = `Rule ${rule.id} triggered`;
-      }
-      flagged.push({
-        rule: rule.id,
-        field: rule.flagField ?? "unknown",
-        message: msg,
-        value: rule.flagValue ? rule.flagValue(entity) : undefined,
-      });
+      flagged.push(flagFor(rule, entity, page));
     }
   }
 
   return { fixes, flagged };
 }
 
-// Apply a set of fixes to an entity in a single updateOne.
-// Returns true if the update was performed, false if nothing to do.
-export async function applyFixes(db, entityId, fixes) {
+// Apply a set of fixes to an entity in a single update, recorded as one
+// revision attributed to the rules that produced it.
+// Pass the version of the entity the fixes were evaluated against so a
+// concurrent edit is never overwritten with fixes computed from stale data.
+// Returns true if the update was performed, false if nothing to do or stale.
+export async function applyFixes(entityId, fixes, { trigger = null, expectedVersion = null } = {}) {
   if (!fixes.length) return false;
   const patch = Object.assign({}, ...fixes.map((f) => f.patch));
   patch.updatedAt = new Date();
-  await db.collection("entities").updateOne({ _id: entityId }, { $set: patch });
-  return true;
+  const actor = { source: "hygiene", trigger, rules: fixes.map((f) => f.rule) };
+  const doc = await applyEntityUpdate({ _id: entityId }, { $set: patch }, { actor, expectedVersion });
+  return !!doc;
 }
@@ -3,9 +3,11 @@
 // Called once at server startup: initScheduler()
 
 import cron from "node-cron";
-import { connectToMongo } from "../database.js";
+import { connectToMongo, purgeTrash } from "../database.js";
+import { embeddingsConfigured } from "../embeddings.js";
 import { runForEntity, runBatch, buildDailyDigest } from "./hygiene.js";
 import { run as runProjects } from "./projects.js";
+import { run as runEmbeddings } from "./embeddings.js";
 import { refreshNow as refreshPageCache } from "./pageCache.js";
 import { postHygieneFlag, postHygieneDigest, postAdmin } from "../connectors/slack.js";
 
@@ -79,6 +81,33 @@ export async function initScheduler() {
     }
   });
 
+  // ---- Daily 04:00 UTC: purge trash past the retention window ----
+  cron.schedule("0 4 * * *", async () => {
+    const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    try {
+      const purged = await purgeTrash(retentionDays);
+      if (purged) console.log(`[scheduler] purged ${purged} trash item(s) older than ${retentionDays} days`);
+    } catch (err) {
+      console.error("[scheduler] trash purge error:", err.message);
+      await postAdmin(`⚠️ Trash purge error: ${err.message}`);
+    }
+  });
+
+  // ---- Daily 03:00 UTC: continue the embedding backfill ----
+  cron.schedule("0 3 * * *", async () => {
+    if (!embeddingsConfigured()) return;
+    console.log("[scheduler] cron: embedding backfill");
+    try {
+      const { summary } = await runEmbeddings("cron-daily");
+      if (summary.failed > 0) {
+        await postAdmin(`Embedding backfill: ${summary.embedded} embedded, ${summary.failed} failed`);
+      }
+    } catch (err) {
+      console.error("[scheduler] embedding backfill error:", err.message);
+      await postAdmin(`⚠️ Embedding backfill error: ${err.message}`);
+    }
+  });
+
   // Proposals: daily 07:00 UTC (phase 2)
   // cron.schedule("0 7 * * *", () => proposalsAgent.run("cron-daily"));
 
@@ -90,7 +119,11 @@ export async function initScheduler() {
 function startChangeStream(db) {
   try {
     changeStream = db.collection("entities").watch(
-      [{ $match: { operationType: { $in: ["insert", "update"] } } }],
+      // Skip the background writes that only store an entity's embedding.
+      [{ $match: {
+        operationType: { $in: ["insert", "update"] },
+        "updateDescription.updatedFields.wikiEmbedding": { $exists: false },
+      } }],
       { fullDocument: "updateLookup" }
     );
 
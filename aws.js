@@ -1,4 +1,4 @@
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 
 const AWS_REGION = process.env.AWS_REGION || "us-east-1";
@@ -71,3 +71,49 @@ export async function presignImageUploadPair(list, filename) {
     thumbUploadUrl,
   };
 }
+
+function copySource(key) {
+  return `${S3_BUCKET}/${encodeURIComponent(key).replace(/%2F/g, "/")}`;
+}
+
+// Copy each image and its thumbnail to a new list and/or filename.
+// renames: [{ fromList, from, toList, to }]. Objects that don't exist are
+// skipped (older images may lack a thumbnail). Returns the object keys
+// written, so a caller can roll back with deleteImageObjectKeys.
+export async function copyImageObjects(renames) {
+  if (!imageUploadsConfigured()) {
+    throw new Error("S3 upload not configured");
+  }
+
+  const written = [];
+  for (const { fromList, from, toList, to } of renames) {
+    const source = imageObjectKeys(fromList, from);
+    const target = imageObjectKeys(toList, to);
+    for (const [sourceKey, targetKey] of [[source.originalKey, target.originalKey], [source.thumbKey, target.thumbKey]]) {
+      try {
+        await s3.send(new CopyObjectCommand({
+          Bucket: S3_BUCKET,
+          CopySource: copySource(sourceKey),
+          Key: targetKey,
+          CacheControl: IMAGE_CACHE_CONTROL,
+          ContentType: "image/jpeg",
+          MetadataDirective: "REPLACE",
+        }));
+        written.push(targetKey);
+      } catch (err) {
+        if (err?.name !== "NoSuchKey" && err?.$metadata?.httpStatusCode !== 404) throw err;
+      }
+    }
+  }
+  return written;
+}
+
+export async function deleteImageObjectKeys(keys) {
+  if (!imageUploadsConfigured() || keys.length === 0) return;
+  for (let i = 0; i < keys.length; i += 1000) {
+    await s3.send(new DeleteObjectsCommand({
+      Bucket: S3_BUCKET,
+      Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+    }));
+  }
+}
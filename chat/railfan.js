@@ -5,7 +5,8 @@
 import {
   searchByName,
   getEntity,
-  updateEntity,
+  getPropsSchema,
+  patchEntity,
   createEntity,
   enrichEntity,
   updatePage,
@@ -14,13 +15,16 @@ import {
 
 const CONTEXT_RAW = "https://raw.githubusercontent.com/azamlerc/railfan-context/main";
 
+// Revision actor for every write made through this chat.
+const ACTOR = { source: "railfan" };
+
 // ---- Tool definitions ----
 
 function buildTools() {
   return [
     {
       name: "searchEntities",
-      description: "Search for entities by name across all lists, or within a specific list. Always do this first to find the right list and key before making any write.",
+      description: "Search for entities by name across all lists, or within a specific list. Accents and punctuation don't matter and close misspellings are still found (match: 'fuzzy'). Always do this first to find the right list and key before making any write.",
       input_schema: {
         type: "object",
         properties: {
@@ -32,7 +36,7 @@ function buildTools() {
     },
     {
       name: "getEntity",
-      description: "Fetch the full record for a single entity. Use to read current props before merging in a new one.",
+      description: "Fetch the full record for a single entity, including its current version.",
       input_schema: {
         type: "object",
         properties: {
@@ -42,17 +46,42 @@ function buildTools() {
         required: ["list", "key"],
       },
     },
+    {
+      name: "getListSchema",
+      description: "Fetch the props schema for a list: each prop's name, type, unit, allowed values and whether it's required. Check it before setting props — writes that don't match a declared schema are refused.",
+      input_schema: {
+        type: "object",
+        properties: {
+          list: { type: "string", description: "List key, e.g. 'metros'" },
+        },
+        required: ["list"],
+      },
+    },
     {
       name: "updateEntity",
-      description: "Update fields on an entity. Sends only the fields you provide — other fields are untouched. To set a prop without losing others, fetch the entity first and merge.",
+      description: "Update an entity. Provide either fields or operations. fields is merged deeply into the record: { props: { curved: true } } sets one prop and keeps all the others, and null removes a field, e.g. { props: { closed: null } }. Arrays in fields replace the whole array — to add or remove single items in notes, countries or images use operations instead. Pass the version you last read (from searchEntities or getEntity); if someone else changed the entity since, nothing is written and you get a version_conflict with the current record — re-check it and retry with its version.",
       input_schema: {
         type: "object",
         properties: {
-          list:   { type: "string", description: "List key, e.g. 'stations'" },
-          key:    { type: "string", description: "Entity key, e.g. 'flushing-avenue'" },
-          fields: { type: "object", description: "Fields to set, e.g. { been: true } or { section: 'done' } or { props: { curved: true } }" },
+          list:       { type: "string", description: "List key, e.g. 'stations'" },
+          key:        { type: "string", description: "Entity key, e.g. 'flushing-avenue'" },
+          version:    { type: "number", description: "The entity's version as last read" },
+          fields:     { type: "object", description: "Fields to merge, e.g. { been: true } or { section: 'done' } or { props: { curved: true } }" },
+          operations: {
+            type: "array",
+            description: "JSON Patch operations on /props, /notes, /countries or /images, e.g. [{ op: 'add', path: '/notes/-', value: 'Rode it end to end' }] or [{ op: 'remove', path: '/countries/1' }]",
+            items: {
+              type: "object",
+              properties: {
+                op:    { type: "string", enum: ["add", "remove", "replace", "test"] },
+                path:  { type: "string" },
+                value: {},
+              },
+              required: ["op", "path"],
+            },
+          },
         },
-        required: ["list", "key", "fields"],
+        required: ["list", "key", "version"],
       },
     },
     {
@@ -81,7 +110,7 @@ function buildTools() {
     },
     {
       name: "updatePage",
-      description: "Update fields on a page (list metadata). Use for changing size, icon, tags, etc.",
+      description: "Update fields on a page (list metadata). Use for changing size, icon, tags, or propsSchema — an array of { name, type, unit?, enum?, required? } with type one of string, number, integer, boolean, date, array, object.",
       input_schema: {
         type: "object",
         properties: {
@@ -109,52 +138,76 @@ function buildTools() {
 
 function strip(doc) {
   if (!doc) return doc;
-  const { _id, wikiEmbedding, enrichedAt, ...rest } = doc;
+  const { _id, wikiEmbedding, embedding, enrichedAt, searchKey, ...rest } = doc;
   return rest;
 }
 
 async function executeTool(name, input) {
   switch (name) {
     case "searchEntities": {
-      const results = await searchByName(input.query, {
+      const { results } = await searchByName(input.query, {
         listFilter: input.list ?? null,
         limit: 20,
       });
-      return results.map(r => ({ list: r.list, key: r.key, name: r.name, been: r.been, section: r.section }));
+      return results.map(r => ({ list: r.list, key: r.key, name: r.name, been: r.been, section: r.section, version: r.version ?? 0, match: r.match }));
     }
 
     case "getEntity": {
       const doc = await getEntity(input.list, input.key);
       if (!doc) return { error: "not_found" };
-      return strip(doc);
+      return { ...strip(doc), version: doc.version ?? 0 };
+    }
+
+    case "getListSchema": {
+      const schema = await getPropsSchema(input.list);
+      if (!schema) return { error: "page_not_found" };
+      return schema;
     }
 
     case "updateEntity": {
-      const doc = await updateEntity(input.list, input.key, input.fields);
-      if (!doc) return { error: "not_found" };
-      return strip(doc);
+      const patch = Array.isArray(input.operations)
+        ? { type: "json-patch", body: input.operations }
+        : { type: "merge",      body: input.fields ?? {} };
+      const result = await patchEntity(input.list, input.key, patch, {
+        actor:           ACTOR,
+        expectedVersion: Number.isInteger(input.version) ? input.version : null,
+      });
+      if (result.error === "version_conflict") {
+        return {
+          error:   "version_conflict",
+          message: "The entity changed since you read it. Nothing was written. Review the current record and retry with its version.",
+          current: { ...strip(result.current), version: result.current.version ?? 0 },
+        };
+      }
+      if (result.error === "bad_patch")     return { error: "bad_patch", message: result.message };
+      if (result.error === "invalid_props") return { error: "invalid_props", errors: result.errors };
+      if (result.error) return { error: result.error };
+      return strip(result.doc);
     }
 
     case "createEntity": {
-      const result = await createEntity(input.list, input.fields);
+      const result = await createEntity(input.list, input.fields, { actor: ACTOR });
+      if (result.error === "invalid_props") return { error: "invalid_props", errors: result.errors };
       if (result.error) return { error: result.error };
       return { key: result.doc.key, ...strip(result.doc) };
     }
 
     case "enrichEntity": {
-      const result = await enrichEntity(input.list, input.key);
+      const result = await enrichEntity(input.list, input.key, { actor: ACTOR });
       if (result.error) return { error: result.error };
       return { enriched: result.enriched, doc: strip(result.doc) };
     }
 
     case "updatePage": {
-      const doc = await updatePage(input.key, input.fields);
-      if (!doc) return { error: "not_found" };
-      return doc;
+      const result = await updatePage(input.key, input.fields);
+      if (result.error === "bad_schema") return { error: "bad_schema", message: result.message };
+      if (result.error) return { error: result.error };
+      return result.doc;
     }
 
     case "createPage": {
       const result = await createPage(input.fields);
+      if (result.error === "bad_schema") return { error: "bad_schema", message: result.message };
       if (result.error) return { error: result.error };
       return result.doc;
     }
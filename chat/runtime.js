@@ -1,7 +1,11 @@
 // chat/runtime.js — generic runtime for all chatbots
 // Each chatbot provides: contextUrl, buildTools(context), executeTool(name, input), getExtraContext()
+// Optional: prepareTool(name, input) → { input } | { error } validates a call before it runs.
+// runChat holds a conversation on Anthropic; runToolSelection runs a single
+// tool-choosing turn (no prose reply) on the chatbot's configured provider.
 
 import Anthropic from "@anthropic-ai/sdk";
+import OpenAI from "openai";
 
 const MODEL           = "claude-sonnet-4-6";
 const MAX_TOKENS      = 1024;
@@ -86,7 +90,12 @@ export async function runChat(chatbot, history, userMessage) {
           .map(async (toolUse) => {
             let result;
             try {
-              result = await chatbot.executeTool(toolUse.name, toolUse.input);
+              const prepared = chatbot.prepareTool
+                ? await chatbot.prepareTool(toolUse.name, toolUse.input)
+                : { input: toolUse.input };
+              result = prepared.error
+                ? { error: prepared.error }
+                : await chatbot.executeTool(toolUse.name, prepared.input);
             } catch (err) {
               result = { error: String(err.message) };
             }
@@ -120,6 +129,175 @@ export async function runChat(chatbot, history, userMessage) {
   }
 }
 
+// ---- Single-turn providers ----
+// Each provider turns { model, system, messages, tools } into one model call
+// that must use tools, and keeps its own message format for the follow-up.
+// Tools are always defined Anthropic-style (input_schema); the OpenAI
+// provider converts them to functions.
+
+const PROVIDERS = {
+  anthropic: {
+    apiKeyVar: "ANTHROPIC_API_KEY",
+    model:     "claude-haiku-4-5",
+    async selectTools({ model, system, messages, tools, maxTokens }) {
+      const client   = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+      const response = await client.messages.create({
+        model,
+        max_tokens:  maxTokens,
+        system,
+        tools,
+        tool_choice: { type: "any" },
+        messages,
+      });
+      const calls = response.content
+        .filter(b => b.type === "tool_use")
+        .map(b => ({ id: b.id, name: b.name, input: b.input }));
+      return { calls, reply: { role: "assistant", content: response.content } };
+    },
+    toolResults(results) {
+      return [{
+        role:    "user",
+        content: results.map(r => ({
+          type:        "tool_result",
+          tool_use_id: r.id,
+          content:     r.content,
+          ...(r.isError ? { is_error: true } : {}),
+        })),
+      }];
+    },
+    async complete({ model, system, prompt, maxTokens }) {
+      const client   = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages:   [{ role: "user", content: prompt }],
+      });
+      return response.content.filter(b => b.type === "text").map(b => b.text).join("").trim();
+    },
+  },
+
+  openai: {
+    apiKeyVar: "OPENAI_API_KEY",
+    model:     "gpt-4o-mini",
+    async selectTools({ model, system, messages, tools, maxTokens }) {
+      const openai   = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const response = await openai.chat.completions.create({
+        model,
+        max_tokens:  maxTokens,
+        messages:    [{ role: "system", content: system }, ...messages],
+        tools:       tools.map(t => ({
+          type:     "function",
+          function: { name: t.name, description: t.description, parameters: t.input_schema },
+        })),
+        tool_choice: "required",
+      });
+      const message = response.choices[0].message;
+      const calls   = (message.tool_calls ?? []).map(tc => {
+        try {
+          return { id: tc.id, name: tc.function.name, input: JSON.parse(tc.function.arguments) };
+        } catch {
+          return { id: tc.id, name: tc.function.name, input: tc.function.arguments, error: "Arguments were not valid JSON" };
+        }
+      });
+      return { calls, reply: message };
+    },
+    toolResults(results) {
+      return results.map(r => ({ role: "tool", tool_call_id: r.id, content: r.content }));
+    },
+    async complete({ model, system, prompt, maxTokens }) {
+      const openai   = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const response = await openai.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages:   [{ role: "system", content: system }, { role: "user", content: prompt }],
+      });
+      return response.choices[0].message.content.trim();
+    },
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// The chatbot's provider (chatbot.getProvider(), default anthropic) and the
+// model to use with it (chatbot.models[provider], else the provider default).
+function resolveProvider(chatbot) {
+  const name     = (chatbot.getProvider?.() || "anthropic").trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}" for ${chatbot.name} (expected ${PROVIDER_NAMES.join(", ")})`);
+  }
+  if (!process.env[provider.apiKeyVar]) {
+    throw new Error(`${provider.apiKeyVar} not configured`);
+  }
+  return { provider, model: chatbot.models?.[name] ?? provider.model };
+}
+
+// ---- Single tool-selection turn ----
+
+async function prepareCalls(chatbot, calls) {
+  return Promise.all(calls.map(async (call) => {
+    if (call.error) return { id: call.id, tool: call.name, args: call.input, error: call.error };
+    const prepared = chatbot.prepareTool
+      ? await chatbot.prepareTool(call.name, call.input)
+      : { input: call.input };
+    return prepared.error
+      ? { id: call.id, tool: call.name, args: call.input, error: prepared.error }
+      : { id: call.id, tool: call.name, args: prepared.input };
+  }));
+}
+
+// Ask the model to pick tools for userMessage, without a prose reply, then run
+// them. If prepareTool rejects any call, every call gets a tool result (the
+// rejected ones with the reason) and the model has one chance to correct them.
+// Returns { calls: [{ tool, args, results, error? }], corrected }; calls still
+// invalid after the retry keep their error and have empty results.
+export async function runToolSelection(chatbot, userMessage) {
+  const { provider, model } = resolveProvider(chatbot);
+
+  const [system, extraContext] = await Promise.all([
+    loadContext(chatbot),
+    chatbot.getExtraContext ? chatbot.getExtraContext() : Promise.resolve(null),
+  ]);
+
+  const tools     = chatbot.buildTools(extraContext);
+  const maxTokens = chatbot.maxTokens ?? MAX_TOKENS;
+  const messages  = [{ role: "user", content: userMessage }];
+
+  let turn     = await provider.selectTools({ model, system, messages, tools, maxTokens });
+  let prepared = await prepareCalls(chatbot, turn.calls);
+
+  let corrected = false;
+  if (prepared.some(p => p.error)) {
+    messages.push(turn.reply, ...provider.toolResults(prepared.map(p => ({
+      id:      p.id,
+      isError: Boolean(p.error),
+      content: p.error
+        ? `Rejected: ${p.error}. Call the tool again with corrected arguments.`
+        : "Not run because another call was rejected. Repeat it if it is still needed.",
+    }))));
+    turn      = await provider.selectTools({ model, system, messages, tools, maxTokens });
+    prepared  = await prepareCalls(chatbot, turn.calls);
+    corrected = true;
+  }
+
+  const calls = await Promise.all(prepared.map(async ({ tool, args, error }) => {
+    console.log(`[${chatbot.name}] tool=${tool} input=${JSON.stringify(args)}${error ? ` rejected=${error}` : ""}`);
+    if (error) return { tool, args, error, results: [] };
+    return { tool, args, results: await chatbot.executeTool(tool, args) };
+  }));
+
+  return { calls, corrected };
+}
+
+// ---- Single text completion ----
+// A short reply with no tools on the chatbot's provider, e.g. picking an icon.
+
+export async function runCompletion(chatbot, system, prompt, { maxTokens = 16 } = {}) {
+  const { provider, model } = resolveProvider(chatbot);
+  return provider.complete({ model, system, prompt, maxTokens });
+}
+
 // ---- Preload a chatbot's context at startup ----
 
 export async function preloadChat(chatbot) {
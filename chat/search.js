@@ -0,0 +1,86 @@
+// chat/search.js — natural language search (POST /search)
+// A chat definition with no conversation: the query gets one tool-selection
+// turn (runToolSelection), the chosen tools run against the database, and
+// their results are merged. Tools come from the registry shared with hello.
+// SEARCH_PROVIDER picks the model provider: anthropic (default) or openai.
+
+import { runToolSelection, runCompletion } from "./runtime.js";
+import { getPageContext, buildToolDefinitions, prepareTool, executeTool } from "./tools.js";
+
+const SEARCH_TOOLS = ["filterEntities", "searchByName", "searchByMeaning", "findNearbyEntities", "findSimilarEntities"];
+
+const SYSTEM_PROMPT = `You are a search assistant for a personal knowledge database.
+The database contains lists of things the owner has visited, collected, or catalogued.
+When given a query, choose the most appropriate tool to call. Do not reply with text.
+
+Guidelines:
+- Use list keys exactly as shown in the filterEntities description — never guess or modify them.
+- For country filters use 2-letter ISO codes (BE, FR, DE, GB, US etc).
+- For city filters use the city display name as it would appear in the data (e.g. "Paris", "New York", "Den Haag").
+- Prefer filterEntities for queries that combine a list + location.
+- For queries asking for things near a named place (e.g. 'near the Eiffel Tower', 'near Brussels'), use findNearbyEntities with coordinates you derive from your own knowledge — do not try to look the place up in the database.
+- Prefer searchByMeaning for open-ended descriptive queries. Do NOT add a list filter to searchByMeaning unless the user explicitly names a specific list.
+- Prefer searchByName when the user is looking for something by its name.
+- If the query is ambiguous, prefer filterEntities or searchByMeaning.`;
+
+const EMOJI_PROMPT = "Reply with exactly one emoji that best represents the concept. No words, no punctuation, just the emoji.";
+
+// ---- Chat definition ----
+
+export const searchChat = {
+  name:   "search",
+  models: { anthropic: "claude-haiku-4-5", openai: "gpt-4o-mini" },
+  getProvider() {
+    return process.env.SEARCH_PROVIDER;
+  },
+  loadSystemPrompt: async () => SYSTEM_PROMPT,
+  getExtraContext:  getPageContext,
+  buildTools(pageContext) {
+    return buildToolDefinitions(SEARCH_TOOLS, pageContext);
+  },
+  prepareTool,
+  executeTool,
+};
+
+// ---- Main export ----
+
+// Returns { query, icon, tool, args, results, corrected?, error? }. tool and
+// args are arrays when the model called more than one tool; results are merged
+// and deduped by list+key.
+export async function naturalLanguageSearch(query) {
+  const [{ calls, corrected }, icon] = await Promise.all([
+    runToolSelection(searchChat, query),
+    runCompletion(searchChat, EMOJI_PROMPT, query),
+  ]);
+
+  if (calls.length === 0) {
+    return { query, icon, results: [], tool: null, ...(corrected ? { corrected } : {}) };
+  }
+
+  const seen   = new Set();
+  const merged = [];
+  for (const { results } of calls) {
+    if (!Array.isArray(results)) continue;
+    for (const r of results) {
+      const id = `${r.list}::${r.key}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      merged.push(r);
+    }
+  }
+
+  // Tool-level errors (e.g. findSimilarEntities on a missing entity) come back
+  // as { error } results rather than arrays.
+  const errors = calls
+    .map(c => c.error ?? (Array.isArray(c.results) ? null : c.results?.error))
+    .filter(Boolean);
+  return {
+    query,
+    icon,
+    tool:    calls.length === 1 ? calls[0].tool : calls.map(c => c.tool),
+    args:    calls.length === 1 ? calls[0].args : calls.map(c => c.args),
+    results: merged,
+    ...(corrected ? { corrected } : {}),
+    ...(errors.length ? { error: errors.join("; ") } : {}),
+  };
+}
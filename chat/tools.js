@@ -0,0 +1,290 @@
+// chat/tools.js — database tools shared by chat definitions
+// One registry for the tools that read the andrewzc database. hello offers
+// all of them; natural-language search (chat/search.js) offers a subset.
+// Definitions pick their tools by name with buildToolDefinitions and pass
+// prepareTool / executeTool through to the runtime.
+
+import {
+  getPage,
+  getEntity,
+  getPageSummaries,
+  getEntitiesByFilter,
+  getEntitiesNearPoint,
+  searchByName,
+  searchByVector,
+  hybridSearch,
+  getSimilarEntities,
+  queryByProps,
+} from "../database.js";
+import { embedText } from "../embeddings.js";
+import { compileJsonFilter, jsonFilterList, checkSortField } from "../filters.js";
+
+// ---- Strip internal fields from results ----
+
+function strip(doc) {
+  if (!doc) return doc;
+  const { _id, wikiEmbedding, embedding, enrichedAt, searchKey, __isNew, ...rest } = doc;
+  return rest;
+}
+
+function stripKeepSummary(doc) {
+  if (!doc) return doc;
+  const { _id, wikiEmbedding, embedding, enrichedAt, searchKey, ...rest } = doc;
+  return rest;
+}
+
+// ---- Page summaries cache ----
+// Fetched once and reused for the lifetime of the process.
+
+let pageSummariesCache = null;
+
+export async function getPageContext() {
+  if (!pageSummariesCache) {
+    pageSummariesCache = await getPageSummaries();
+  }
+  return pageSummariesCache
+    .map(p => p.description ? `${p.key}: ${p.name}. ${p.description}` : `${p.key}: ${p.name}`)
+    .join("\n");
+}
+
+async function getListKeys() {
+  await getPageContext();
+  return new Set(pageSummariesCache.map(p => p.key));
+}
+
+// ---- Tool definitions ----
+// Each entry builds an Anthropic-style definition; filterEntities embeds the
+// list of pages so the model can use real list keys.
+
+const TOOLS = {
+  getEntity: () => ({
+    name: "getEntity",
+    description: "Fetch the full record for a single known entity including wikiSummary, caption, images, notes, and props. Use when you need full detail about a specific place.",
+    input_schema: {
+      type: "object",
+      properties: {
+        list: { type: "string", description: "The list key, e.g. 'confluence', 'metros', 'tripoints'" },
+        key:  { type: "string", description: "The entity key, e.g. 'paris-metro', 'alizava'" },
+      },
+      required: ["list", "key"],
+    },
+  }),
+
+  filterEntities: (pageContext) => ({
+    name: "filterEntities",
+    description: `Find entities matching a MongoDB filter. Use this for queries that combine a list with a country, city, or other field — e.g. 'canals in Belgium', 'airports in Paris', 'trams in Germany'. Fields: list (string), name, key, reference, prefix, link, icons, country (2-letter code), countries (array of 2-letter codes), state, states, city (string), been (boolean), section (done/taken/visited/want), and props.<name>. Operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex (literal text the field contains, not a pattern; with $options "i" to ignore case), combined with $and, $or, $nor. Anything else is rejected.
+
+Available lists (key: name. description):
+${pageContext}`,
+    input_schema: {
+      type: "object",
+      properties: {
+        filter:  { type: "object", description: "MongoDB filter object, e.g. { \"list\": \"canals\", \"country\": \"BE\" }" },
+        sortBy:  { type: "string", description: "Field to sort by, e.g. \"name\"" },
+        sortDir: { type: "number", enum: [1, -1], description: "1 for ascending, -1 for descending" },
+        limit:   { type: "number", description: "Max results, default 50" },
+      },
+      required: ["filter"],
+    },
+  }),
+
+  search: () => ({
+    name: "search",
+    description: "Find entities from free text, e.g. 'paris tram' or 'volcano in iceland'. Combines name matching with semantic search and ranks the best of both; each result's match field says which one found it. Use this first when you don't know the exact name or list.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        list:  { type: "string", description: "Optional: restrict to a specific list key" },
+        limit: { type: "number" },
+      },
+      required: ["query"],
+    },
+  }),
+
+  searchByName: () => ({
+    name: "searchByName",
+    description: "Find entities whose name contains a search string. Accents and punctuation are ignored and small typos still match. Use for queries like 'stations called Central', 'metro named after a person', or when looking for a specific named thing.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Name substring to search for" },
+        list:  { type: "string", description: "Optional list key to restrict search" },
+        limit: { type: "number", description: "Max results, default 50" },
+      },
+      required: ["query"],
+    },
+  }),
+
+  searchByMeaning: () => ({
+    name: "searchByMeaning",
+    description: "Semantic/vector search — find entities conceptually related to a query. Use for open-ended or descriptive queries like 'historic railways', 'underground stations with unusual architecture', 'cities known for canals'. Search across ALL lists unless the user explicitly restricts to one — cross-list results are valuable and expected.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Natural language description to search for" },
+        list:  { type: "string", description: "Optional list key to restrict search" },
+        limit: { type: "number", description: "Max results, default 50" },
+      },
+      required: ["query"],
+    },
+  }),
+
+  findNearbyEntities: () => ({
+    name: "findNearbyEntities",
+    description: "Find entities geographically near a location. Use whenever the user asks for things near a place — whether they provide coordinates directly or name a place like 'near the Eiffel Tower', 'near Brussels'. If the user names a place rather than giving coordinates, use your own knowledge to supply the lat/lon for that place.",
+    input_schema: {
+      type: "object",
+      properties: {
+        lat:      { type: "number", description: "Latitude of the location" },
+        lon:      { type: "number", description: "Longitude of the location" },
+        radiusKm: { type: "number", description: "Search radius in km, default 50" },
+        list:     { type: "string", description: "Optional list key to restrict search" },
+        limit:    { type: "number", description: "Max results, default 50" },
+      },
+      required: ["lat", "lon"],
+    },
+  }),
+
+  findSimilarEntities: () => ({
+    name: "findSimilarEntities",
+    description: "Find entities semantically similar to a known entity using its embedding. Use for queries like 'things like the Paris Metro', 'similar to Amsterdam', 'more like this'.",
+    input_schema: {
+      type: "object",
+      properties: {
+        list:  { type: "string", description: "List key of the reference entity" },
+        key:   { type: "string", description: "Key of the reference entity" },
+        limit: { type: "number", description: "Max results, default 50" },
+      },
+      required: ["list", "key"],
+    },
+  }),
+
+  queryByProps: () => ({
+    name: "queryByProps",
+    description: "Filter entities in a list by their props fields. Use for structured queries like 'metros with 100+ stations'. "
+      + "The filter is an expression over props.<name> and the fields name, key, reference, prefix, link, icons, country, countries, state, states, city, been, section. "
+      + "Conditions: field = value, != , >, >=, <, <=, field in (v1, v2), field between low and high, field exists, field contains \"text\". "
+      + "Combine with and, or, not and parentheses; quote strings. "
+      + "Example: props.stations >= 100 and been = false. Errors name the props a list has.",
+    input_schema: {
+      type: "object",
+      properties: {
+        list:   { type: "string" },
+        filter: { type: "string", description: "e.g. props.stations >= 100 and country in (\"FR\", \"DE\")" },
+        sort:   { type: "string", description: "Comma-separated fields with optional :asc or :desc, e.g. props.stations:desc,name" },
+        limit:  { type: "number" },
+      },
+      required: ["list", "filter"],
+    },
+  }),
+};
+
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+export function buildToolDefinitions(names, pageContext) {
+  return names.map((name) => {
+    if (!TOOLS[name]) throw new Error(`Unknown tool: ${name}`);
+    return TOOLS[name](pageContext);
+  });
+}
+
+// ---- Argument validation ----
+
+function badArgs(message) {
+  return Object.assign(new Error(message), { badFilter: true });
+}
+
+// Validate and normalise one tool call's input. filterEntities' filter is
+// rebuilt by compileJsonFilter (against the list's props schema when it names
+// one list); any other `list` argument must be a real page key.
+// Returns { input } or { error } with a message meant for the model.
+export async function prepareTool(name, input) {
+  const lists = await getListKeys();
+  try {
+    if (name === "filterEntities") {
+      // The model may return the filter fields flat or nested under "filter",
+      // and occasionally as a JSON string.
+      const { sortBy, sortDir, limit, filter, ...rest } = input;
+      let raw = filter ?? rest;
+      if (typeof raw === "string") {
+        try { raw = JSON.parse(raw); } catch { throw badArgs("filter must be a JSON object, not a string"); }
+      }
+
+      const list   = jsonFilterList(raw);
+      const schema = list && lists.has(list) ? (await getPage(list))?.propsSchema ?? null : null;
+      const normalized = { filter: compileJsonFilter(raw, { lists, schema }) };
+      if (sortBy != null) normalized.sortBy = checkSortField(String(sortBy), { schema });
+      if (sortDir != null) {
+        if (sortDir !== 1 && sortDir !== -1) throw badArgs("sortDir must be 1 or -1");
+        normalized.sortDir = sortDir;
+      }
+      if (limit != null) normalized.limit = Math.min(Math.max(parseInt(limit) || 50, 1), 50);
+      return { input: normalized };
+    }
+
+    if (input.list != null) compileJsonFilter({ list: input.list }, { lists });
+    return { input };
+  } catch (err) {
+    if (err.badFilter) return { error: err.message };
+    throw err;
+  }
+}
+
+// ---- Tool execution ----
+
+export async function executeTool(name, input) {
+  switch (name) {
+    case "getEntity": {
+      const doc = await getEntity(input.list, input.key);
+      if (!doc) return { error: "not_found" };
+      return stripKeepSummary(doc);
+    }
+    case "filterEntities": {
+      const result = await getEntitiesByFilter(input.filter, {
+        sortBy: input.sortBy ?? null, sortDir: input.sortDir ?? 1, limit: input.limit ?? 50,
+      });
+      if (result.error === "array_sort") return { error: `Can't sort by '${result.field}': it holds arrays` };
+      return result.results.map(strip);
+    }
+    case "search": {
+      const result = await hybridSearch(input.query, {
+        listFilter: input.list ?? null, limit: Math.min(input.limit ?? 20, 50),
+      });
+      return result.results.map(strip);
+    }
+    case "searchByName": {
+      const result = await searchByName(input.query, {
+        listFilter: input.list ?? null, limit: input.limit ?? 50,
+      });
+      return result.results.map(strip);
+    }
+    case "searchByMeaning": {
+      const vector = await embedText(input.query);
+      const result = await searchByVector(vector, {
+        listFilter: input.list ?? null, limit: input.limit ?? 50,
+      });
+      return result.results.map(strip);
+    }
+    case "findNearbyEntities": {
+      const result = await getEntitiesNearPoint(input.lon, input.lat, {
+        radiusKm: input.radiusKm ?? 50, listFilter: input.list ?? null, limit: input.limit ?? 50,
+      });
+      return result.results.map(strip);
+    }
+    case "findSimilarEntities": {
+      const result = await getSimilarEntities(input.list, input.key, { limit: input.limit ?? 50 });
+      if (result.error) return { error: result.error };
+      return result.results.map(strip);
+    }
+    case "queryByProps": {
+      const result = await queryByProps(input.list, input.filter, {
+        sort: input.sort ?? null, limit: input.limit ?? 50,
+      });
+      if (result.error) return { error: result.error, message: result.message };
+      return result.results.map(strip);
+    }
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
@@ -1,9 +1,16 @@
-// Database layer — all MongoDB and OpenAI operations.
+// Database layer — all MongoDB operations.
 // No HTTP, no Express. Each function takes plain arguments and returns plain objects.
 
-import { MongoClient } from "mongodb";
-import OpenAI from "openai";
-import { makeKeyFromPageTags, simplify } from "./utils.js";
+import { MongoClient, BSON } from "mongodb";
+import { createHash } from "crypto";
+import { makeKeyFromPageTags, simplify, diffFields, escapeRegex, normalizeSearchText, searchKeysFor, editDistance } from "./utils.js";
+import { applyMergePatch, applyJsonPatch } from "./patch.js";
+import { checkPropsSchema, validateProps, changedProps } from "./schema.js";
+import { compileFilter, compileSort } from "./filters.js";
+import { getEmbeddingProvider, embeddingsConfigured, embedText, embedTexts } from "./embeddings.js";
+import { prepareRoute, sampleRoute, locateOnRoute, kmToRadians, compassBearing, distanceKm, planVisitOrder } from "./geo.js";
+import { reversePlaceFields } from "./reverse.js";
+import { imageUploadsConfigured, copyImageObjects, deleteImageObjectKeys, imageObjectKeys } from "./aws.js";
 
 let client;
 let db;
@@ -27,6 +34,10 @@ export async function ensureIndexes() {
   await db.collection("entities").createIndex({ list: 1, countries: 1 });
   await db.collection("entities").createIndex({ list: 1, state: 1 });
   await db.collection("entities").createIndex({ list: 1, states: 1 });
+  // searchKey is matched by substring, which no index can serve.
+  await db.collection("entities").dropIndex("searchKey_1").catch((err) => {
+    if (err.codeName !== "IndexNotFound" && err.codeName !== "NamespaceNotFound") throw err;
+  });
 
 	// Agent collections
 	await db.collection("agent_runs").createIndex({ agent: 1, ts: -1 });
@@ -37,6 +48,199 @@ export async function ensureIndexes() {
 	await db.collection("data_source_cache").createIndex({ source: 1, cacheKey: 1 }, { unique: true });
 	await db.collection("feedback").createIndex({ entityKey: 1 });
 	await db.collection("feedback").createIndex({ list: 1, decidedAt: -1 });
+
+  await ensureRevisionIndex(db.collection("entity_revisions"));
+  await db.collection("entity_revisions").createIndex({ entityId: 1, rev: -1 });
+  await db.collection("trash").createIndex({ kind: 1, deletedAt: -1 });
+  await db.collection("trash").createIndex({ deletedAt: 1 });
+
+  await ensureVectorIndex(db.collection("entities"));
+  await ensureSearchLog(db);
+}
+
+// rev is unique per list/key, so two writes racing for the same rev can't
+// both be recorded (see recordEntityRevision). Replaces the earlier
+// non-unique index; if duplicate revisions already exist the unique index
+// can't be built, which is logged rather than stopping the server.
+async function ensureRevisionIndex(revisions) {
+  try {
+    await revisions.createIndex({ list: 1, key: 1, rev: 1 }, { unique: true });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    console.error("[revisions] duplicate revs exist — unique { list, key, rev } index not built:", err.message);
+    await revisions.createIndex({ list: 1, key: 1, rev: -1 });
+    return;
+  }
+  await revisions.dropIndex("list_1_key_1_rev_-1").catch((err) => {
+    if (err.codeName !== "IndexNotFound") throw err;
+  });
+}
+
+// Fields $vectorSearch can pre-filter on; each must be declared in the index.
+const VECTOR_FILTER_FIELDS = ["list", "country", "countries", "been", "city"];
+
+// Atlas vector search index for the configured embedding provider, created or
+// brought up to date with VECTOR_FILTER_FIELDS. Search indexes only exist on
+// Atlas (or the Atlas local image), so elsewhere this logs and carries on.
+async function ensureVectorIndex(entities) {
+  const { index, dimensions } = getEmbeddingProvider();
+  const definition = {
+    fields: [
+      { type: "vector", path: "wikiEmbedding", numDimensions: dimensions, similarity: "cosine" },
+      ...VECTOR_FILTER_FIELDS.map((path) => ({ type: "filter", path })),
+    ],
+  };
+  try {
+    const [existing] = await entities.listSearchIndexes(index).toArray();
+    if (!existing) {
+      await entities.createSearchIndex({ name: index, type: "vectorSearch", definition });
+      console.log(`[indexes] created vector index ${index} (${dimensions} dimensions)`);
+    } else if (JSON.stringify(existing.latestDefinition?.fields) !== JSON.stringify(definition.fields)) {
+      await entities.updateSearchIndex(index, definition);
+      console.log(`[indexes] updating vector index ${index}`);
+    }
+  } catch (err) {
+    console.warn(`[indexes] vector index ${index} not available:`, err.message);
+  }
+}
+
+// ---- Cursor pagination ----
+
+// Cursors are opaque to clients: a base64url EJSON blob holding the sort spec
+// and the sort values of the last document on the previous page. The next page
+// matches documents that sort strictly after those values. Every sort ends in
+// _id so the ordering is total and pages never overlap or skip.
+//
+// "Sorts after" is plain range predicates, which indexes can serve. A range
+// only matches values of its own BSON type, so each field also matches every
+// type that $sort puts later; mixed types and missing fields (common in props)
+// then page the way $sort orders them. Arrays sort by their smallest element,
+// which no predicate can follow, so array fields can't be paged through.
+
+function stableSort(sort) {
+  return "_id" in sort ? sort : { ...sort, _id: 1 };
+}
+
+function encodeCursor(sort, values) {
+  const json = BSON.EJSON.stringify({ sort: Object.entries(sort), values });
+  return Buffer.from(json).toString("base64url");
+}
+
+// Returns the sort values stored in the cursor, or null if the cursor is
+// malformed or was issued for a different sort.
+function decodeCursor(cursor, sort) {
+  try {
+    const json   = Buffer.from(String(cursor), "base64url").toString("utf8");
+    const parsed = BSON.EJSON.parse(json);
+    if (JSON.stringify(parsed.sort) !== JSON.stringify(Object.entries(sort))) return null;
+    if (!Array.isArray(parsed.values) || parsed.values.length !== parsed.sort.length) return null;
+    if (parsed.values.some(Array.isArray)) return null;
+    return parsed.values;
+  } catch {
+    return null;
+  }
+}
+
+// BSON types in the order $sort compares them; numbers of every width are one
+// type. Missing fields sort as null.
+const SORT_TYPE_ORDER = ["null", "number", "string", "object", "binData", "objectId", "bool", "date", "timestamp", "regex"];
+const BSON_SORT_TYPES = {
+  Long: "number", Double: "number", Int32: "number", Decimal128: "number",
+  Binary: "binData", ObjectId: "objectId", Timestamp: "timestamp", BSONRegExp: "regex",
+};
+
+function sortTypeOf(value) {
+  if (value == null)               return "null";
+  if (typeof value === "number")   return "number";
+  if (typeof value === "string")   return "string";
+  if (typeof value === "boolean")  return "bool";
+  if (value instanceof Date)       return "date";
+  if (value instanceof RegExp)     return "regex";
+  return BSON_SORT_TYPES[value._bsontype] ?? "object";
+}
+
+// Predicates for `field` sorting strictly after `value` in direction `dir`.
+function afterValue(field, dir, value) {
+  const rank     = SORT_TYPE_ORDER.indexOf(sortTypeOf(value));
+  const later    = dir === -1 ? SORT_TYPE_ORDER.slice(0, rank) : SORT_TYPE_ORDER.slice(rank + 1);
+  const types    = later.filter((type) => type !== "null");
+  const branches = [];
+  if (value != null)            branches.push({ [field]: { [dir === -1 ? "$lt" : "$gt"]: value } });
+  if (types.length)             branches.push({ [field]: { $type: types } });
+  if (later.includes("null"))   branches.push({ [field]: null });
+  return branches;
+}
+
+function afterCursorMatch(sort, values) {
+  const fields = Object.entries(sort);
+  return {
+    $or: fields.flatMap(([field, dir], i) => {
+      const equal = fields.slice(0, i).map(([prev], j) => ({ [prev]: values[j] }));
+      return afterValue(field, dir, values[i]).map((after) => (equal.length ? { $and: [...equal, after] } : after));
+    }),
+  };
+}
+
+// Stages that apply the cursor, sort, and fetch one extra document to detect
+// whether another page exists. Later $project stages must keep `_cursor`.
+// limit=null returns everything after the cursor.
+function cursorStages(sort, values, limit) {
+  return [
+    ...(values ? [{ $match: afterCursorMatch(sort, values) }] : []),
+    { $sort: sort },
+    ...(limit != null ? [{ $limit: limit + 1 }] : []),
+    { $set: { _cursor: Object.keys(sort).map(field => ({ $ifNull: [`$${field}`, null] })) } },
+  ];
+}
+
+// Returns { results, nextCursor }, or { error: "array_sort", field } when the
+// next cursor would hold an array.
+function finishPage(docs, sort, limit) {
+  const hasMore = limit != null && docs.length > limit;
+  const page    = hasMore ? docs.slice(0, limit) : docs;
+  const results = page.map(({ _cursor, ...doc }) => doc);
+  if (!hasMore) return { results, nextCursor: null };
+
+  const values = page[page.length - 1]._cursor;
+  const array  = values.findIndex(Array.isArray);
+  if (array !== -1) return { error: "array_sort", field: Object.keys(sort)[array] };
+  return { results, nextCursor: encodeCursor(sort, values) };
+}
+
+// Run a paginated aggregation: `head` stages select documents, `tail` stages
+// (lookups, projections) run only on the returned page.
+// Returns { results, nextCursor } or { error: "bad_cursor" | "array_sort" }.
+async function paginate(collection, { head = [], sort, cursor = null, limit = 50, tail = [] }) {
+  const order  = stableSort(sort);
+  const values = cursor ? decodeCursor(cursor, order) : null;
+  if (cursor && !values) return { error: "bad_cursor" };
+
+  const docs = await collection
+    .aggregate([...head, ...cursorStages(order, values, limit), ...tail])
+    .toArray();
+  return finishPage(docs, order, limit);
+}
+
+const ENTITY_PAGE_LOOKUP = [
+  { $lookup: { from: "pages", localField: "list", foreignField: "key", as: "pageInfo" } },
+  { $unwind: { path: "$pageInfo", preserveNullAndEmptyArrays: true } },
+];
+
+// ---- Versions ----
+
+// Entities and pages carry an integer `version`, bumped on every write and
+// exposed as the ETag. Writes may pass expectedVersion (from If-Match) to fail
+// instead of overwriting a newer document. Documents written before versioning
+// have no field and count as version 0.
+
+function versionMatch(expectedVersion) {
+  return expectedVersion === 0
+    ? { version: { $in: [0, null] } }
+    : { version: expectedVersion };
+}
+
+function withVersionBump(update) {
+  return { ...update, $inc: { ...(update.$inc || {}), version: 1 } };
 }
 
 // ---- Pages ----
@@ -59,21 +263,56 @@ export async function createPage(payload) {
   const key = simplify(name);
   if (!key) return { error: "bad_key" };
 
+  const schemaError = checkPropsSchema(payload.propsSchema);
+  if (schemaError) return { error: "bad_schema", message: schemaError };
+
   const now = new Date();
-  const doc = { ...payload, key, createdAt: payload.createdAt ?? now, updatedAt: now };
+  const doc = { ...payload, key, version: 1, createdAt: payload.createdAt ?? now, updatedAt: now };
   await db.collection("pages").insertOne(doc);
   return { doc };
 }
 
-export async function updatePage(key, patch) {
-  const db  = await connectToMongo();
-  const now = new Date();
-  const result = await db.collection("pages").findOneAndUpdate(
-    { key },
-    { $set: { ...patch, updatedAt: now } },
+// Returns { doc }, { error: "not_found" }, { error: "bad_schema", message },
+// or { error: "version_conflict", current } when expectedVersion no longer matches.
+export async function updatePage(key, patch, { expectedVersion = null } = {}) {
+  const db    = await connectToMongo();
+  const pages = db.collection("pages");
+  const now   = new Date();
+  const { version: _version, ...fields } = patch;
+
+  const schemaError = checkPropsSchema(fields.propsSchema);
+  if (schemaError) return { error: "bad_schema", message: schemaError };
+
+  const filter = expectedVersion == null ? { key } : { key, ...versionMatch(expectedVersion) };
+  const result = await pages.findOneAndUpdate(
+    filter,
+    withVersionBump({ $set: { ...fields, updatedAt: now } }),
     { returnDocument: "after" }
   );
-  return result?.value ?? result ?? null;
+  const doc = result?.value ?? result ?? null;
+  if (doc) return { doc };
+
+  const current = expectedVersion == null ? null : await pages.findOne({ key });
+  return current ? { error: "version_conflict", current } : { error: "not_found" };
+}
+
+// Soft delete, like deleteEntity. Pages that still have entities (directly or
+// through propertyOf children) are refused rather than orphaning them.
+// Returns { doc, trashId }, { error: "not_empty" }, or null if not found.
+export async function deletePage(key, { actor } = {}) {
+  const db   = await connectToMongo();
+  const page = await db.collection("pages").findOne({ key });
+  if (!page) return null;
+
+  const [entity, child] = await Promise.all([
+    db.collection("entities").findOne({ list: key }, { projection: { _id: 1 } }),
+    db.collection("pages").findOne({ propertyOf: key }, { projection: { _id: 1 } }),
+  ]);
+  if (entity || child) return { error: "not_empty" };
+
+  const trashId = await moveToTrash("page", page, actor);
+  if (!trashId) return null;
+  return { doc: page, trashId };
 }
 
 // Returns a compact list of pages for use as AI context.
@@ -129,7 +368,9 @@ function hoistPropForPage(entity, propKey, { prefixProp, referenceProp } = {}) {
   return rest;
 }
 
-export async function getPageWithEntities(key) {
+// Without a limit or cursor every entity on the page is returned, as the site
+// expects. Pass { limit, cursor } to walk large lists a page at a time.
+export async function getPageWithEntities(key, { limit = null, cursor = null } = {}) {
   const db       = await connectToMongo();
   const pages    = db.collection("pages");
   const entities = db.collection("entities");
@@ -137,23 +378,25 @@ export async function getPageWithEntities(key) {
   const page = await pages.findOne({ key });
   if (!page) return null;
 
-  let docs;
-  const hoistOptions = { prefixProp: page.prefixProp, referenceProp: page.referenceProp };
+  const match = page.propertyOf
+    ? { list: page.propertyOf, [`props.${key}`]: { $exists: true } }
+    : { list: key };
 
+  const result = await paginate(entities, {
+    head: [{ $match: match }],
+    sort: { name: 1, key: 1 },
+    cursor,
+    limit,
+  });
+  if (result.error) return result;
+
+  let docs = result.results;
   if (page.propertyOf) {
-    docs = await entities
-      .find({ list: page.propertyOf, [`props.${key}`]: { $exists: true } })
-      .sort({ name: 1, key: 1 })
-      .toArray();
+    const hoistOptions = { prefixProp: page.prefixProp, referenceProp: page.referenceProp };
     docs = docs.map(entity => hoistPropForPage(entity, key, hoistOptions));
-  } else {
-    docs = await entities
-      .find({ list: key })
-      .sort({ name: 1, key: 1 })
-      .toArray();
   }
 
-  return { page, entities: docs };
+  return { page, entities: docs, nextCursor: result.nextCursor };
 }
 
 function collectMatchedPlaces(entity, scope, codes) {
@@ -276,16 +519,20 @@ export async function getEntity(list, key) {
   return db.collection("entities").findOne({ list, key });
 }
 
-export async function createEntity(list, payload) {
-  const db       = await connectToMongo();
-  const pages    = db.collection("pages");
-  const entities = db.collection("entities");
-
-  const page = await pages.findOne({ key: list });
-  if (!page) return { error: "page_not_found" };
+// Props schema errors ([{ field, message }]) for a write to an entity on
+// `page`. `before` is the stored entity, or null for a new one; against an
+// existing entity only the props the write changes are checked.
+export function propsSchemaErrors(page, before, afterProps) {
+  if (!Array.isArray(page?.propsSchema)) return [];
+  const only = before ? changedProps(before.props, afterProps) : null;
+  return validateProps(page.propsSchema, afterProps, { only });
+}
 
+// Key a new entity would get on `page`, before any -2, -3 uniqueness suffix.
+// Shared by createEntity and bulk import so both derive identical keys.
+export function deriveEntityKey(page, payload) {
   const name = String(payload.name || "").trim();
-  if (!name) return { error: "missing_name" };
+  if (!name) return null;
 
   const reference  = payload.reference != null ? String(payload.reference).trim() : null;
   let countryCode  = null;
@@ -295,7 +542,24 @@ export async function createEntity(list, payload) {
     countryCode = String(payload.countries[0]).toUpperCase();
   }
 
-  const baseKey = makeKeyFromPageTags({ tags: page.tags, name, reference, countryCode });
+  return makeKeyFromPageTags({ tags: page.tags, name, reference, countryCode }) || null;
+}
+
+export async function createEntity(list, payload, { actor } = {}) {
+  const db       = await connectToMongo();
+  const pages    = db.collection("pages");
+  const entities = db.collection("entities");
+
+  const page = await pages.findOne({ key: list });
+  if (!page) return { error: "page_not_found" };
+
+  const name = String(payload.name || "").trim();
+  if (!name) return { error: "missing_name" };
+
+  const errors = propsSchemaErrors(page, null, payload.props);
+  if (errors.length) return { error: "invalid_props", errors };
+
+  const baseKey = deriveEntityKey(page, payload);
   if (!baseKey) return { error: "bad_key" };
 
   // Ensure uniqueness within the list by suffixing -2, -3, ... if needed.
@@ -307,23 +571,198 @@ export async function createEntity(list, payload) {
   }
 
   const now = new Date();
-  const doc = { ...payload, list, key, createdAt: payload.createdAt ?? now, updatedAt: now };
+  const doc = { ...payload, list, key, searchKey: searchKeysFor(payload), version: 1, createdAt: payload.createdAt ?? now, updatedAt: now };
   await entities.insertOne(doc);
+  await recordEntityRevision({ op: "create", before: null, after: doc, actor });
+  queueEmbeddings([doc]);
   return { doc };
 }
 
-export async function updateEntity(list, key, patch) {
-  const db  = await connectToMongo();
+// Returns { doc }, { error: "not_found" }, { error: "invalid_props", errors },
+// or { error: "version_conflict", current } when expectedVersion no longer matches.
+export async function updateEntity(list, key, patch, { actor, expectedVersion = null } = {}) {
   const now = new Date();
-  const result = await db.collection("entities").findOneAndUpdate(
+  const { version: _version, ...fields } = patch;
+
+  if ("props" in fields) {
+    const db = await connectToMongo();
+    const [page, current] = await Promise.all([
+      db.collection("pages").findOne({ key: list }),
+      db.collection("entities").findOne({ list, key }),
+    ]);
+    if (!current) return { error: "not_found" };
+    const errors = propsSchemaErrors(page, current, fields.props);
+    if (errors.length) return { error: "invalid_props", errors };
+  }
+  const doc = await applyEntityUpdate(
     { list, key },
-    { $set: { ...patch, updatedAt: now } },
-    { returnDocument: "after" }
+    { $set: { ...fields, updatedAt: now } },
+    { actor, expectedVersion }
   );
-  return result?.value ?? result ?? null;
+  if (doc) return { doc };
+
+  const current = expectedVersion == null ? null : await getEntity(list, key);
+  return current ? { error: "version_conflict", current } : { error: "not_found" };
 }
 
-export async function appendEntityImages(list, key, filenames = []) {
+const PATCH_ATTEMPTS = 3;
+
+// Apply a JSON Merge Patch ({ type: "merge", body: {...} }) or JSON Patch
+// ({ type: "json-patch", body: [...] }) to an entity. The patch is applied to
+// the current document in memory and written back only if the version is
+// unchanged, retrying on a concurrent write unless the caller pinned
+// expectedVersion — so nested props are never lost to a shallow $set.
+// Returns { doc }, { error: "not_found" | "bad_patch", message? },
+// { error: "invalid_props", errors }, or { error: "version_conflict", current }.
+export async function patchEntity(list, key, patch, { actor, expectedVersion = null } = {}) {
+  let page;
+  for (let attempt = 0; attempt < PATCH_ATTEMPTS; attempt++) {
+    const current = await getEntity(list, key);
+    if (!current) return { error: "not_found" };
+
+    const version = current.version ?? 0;
+    if (expectedVersion != null && version !== expectedVersion) return { error: "version_conflict", current };
+
+    let next;
+    try {
+      next = patch.type === "json-patch"
+        ? applyJsonPatch(current, patch.body)
+        : applyMergePatch(current, patch.body);
+    } catch (err) {
+      if (err.badPatch) return { error: "bad_patch", message: err.message };
+      throw err;
+    }
+
+    if (changedProps(current.props, next.props).size > 0) {
+      page ??= await getPage(list);
+      const errors = propsSchemaErrors(page, current, next.props);
+      if (errors.length) return { error: "invalid_props", errors };
+    }
+
+    const $set   = {};
+    const $unset = {};
+    for (const field of new Set([...Object.keys(current), ...Object.keys(next)])) {
+      if (!(field in next)) $unset[field] = "";
+      else if (JSON.stringify(current[field]) !== JSON.stringify(next[field])) $set[field] = next[field];
+    }
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) return { doc: current };
+
+    $set.updatedAt = new Date();
+    const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+    const doc    = await applyEntityUpdate({ list, key }, update, { actor, expectedVersion: version });
+    if (doc) return { doc };
+  }
+
+  const current = await getEntity(list, key);
+  return current ? { error: "version_conflict", current } : { error: "not_found" };
+}
+
+// ---- Move ----
+
+// Move an entity to another list and/or rename it. The key is re-derived
+// under the target page's tags exactly as createEntity would, but never
+// suffixed: an existing entity with that key is a key_conflict.
+// Images named <key>N.jpg are renamed to <newKey>N.jpg and, with their
+// thumbnails, copied to the new S3 location; the old objects are deleted
+// only once the entity has been written. Revision history and agent run
+// records follow the entity, and when a trips entity is rekeyed the `trips`
+// arrays referencing it are updated.
+// Moving to another list checks the entity's props against that list's schema.
+// Returns { doc, from: { list, key } } or { error: "not_found" |
+// "page_not_found" | "property_page" | "bad_key" | "s3_unavailable" },
+// { error: "invalid_props", errors }, { error: "key_conflict", existing } or
+// { error: "version_conflict", current }.
+export async function moveEntity(list, key, { toList = list, name, reference } = {}, { actor, expectedVersion = null } = {}) {
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+
+  const entity = await entities.findOne({ list, key });
+  if (!entity) return { error: "not_found" };
+  if (expectedVersion != null && (entity.version ?? 0) !== expectedVersion) return { error: "version_conflict", current: entity };
+
+  const page = await db.collection("pages").findOne({ key: toList });
+  if (!page)           return { error: "page_not_found" };
+  if (page.propertyOf) return { error: "property_page" };
+
+  if (toList !== list) {
+    const errors = propsSchemaErrors(page, null, entity.props);
+    if (errors.length) return { error: "invalid_props", errors };
+  }
+
+  const fields = {};
+  if (name != null)      fields.name      = String(name).trim();
+  if (reference != null) fields.reference = String(reference).trim();
+  if (fields.name === "") return { error: "bad_key" };
+
+  const newKey = deriveEntityKey(page, { ...entity, ...fields });
+  if (!newKey) return { error: "bad_key" };
+
+  if (toList !== list || newKey !== key) {
+    const existing = await entities.findOne({ list: toList, key: newKey, _id: { $ne: entity._id } });
+    if (existing) return { error: "key_conflict", existing };
+  }
+
+  const numbered = new RegExp(`^${escapeRegex(key)}(\\d+)\\.jpg$`, "i");
+  const renames  = (entity.images || []).map((filename) => {
+    const match = String(filename).match(numbered);
+    return { fromList: list, from: filename, toList, to: match ? `${newKey}${match[1]}.jpg` : filename };
+  });
+  const moved = renames.filter((r) => r.fromList !== r.toList || r.from !== r.to);
+  if (moved.length && !imageUploadsConfigured()) return { error: "s3_unavailable" };
+
+  const copied = moved.length ? await copyImageObjects(moved) : [];
+
+  const update = { ...fields, list: toList, key: newKey, searchKey: searchKeysFor({ ...entity, ...fields }), updatedAt: new Date() };
+  if (entity.images) update.images = renames.map((r) => r.to);
+
+  let result;
+  try {
+    result = await entities.findOneAndUpdate(
+      { _id: entity._id, ...versionMatch(entity.version ?? 0) },
+      withVersionBump({ $set: update }),
+      { returnDocument: "after" }
+    );
+  } catch (err) {
+    await deleteImageObjectKeys(copied);
+    if (err?.code === 11000) return { error: "key_conflict", existing: await entities.findOne({ list: toList, key: newKey }) };
+    throw err;
+  }
+  const doc = result?.value ?? result ?? null;
+  if (!doc) {
+    await deleteImageObjectKeys(copied);
+    return { error: "version_conflict", current: await entities.findOne({ _id: entity._id }) };
+  }
+
+  const oldObjects = moved.flatMap((r) => Object.values(imageObjectKeys(r.fromList, r.from)));
+  await deleteImageObjectKeys(oldObjects.filter((k) => !copied.includes(k)));
+
+  if (toList !== list || newKey !== key) {
+    // A deleted entity may have left history at the new list/key; the moved
+    // revisions are numbered on from it so revs stay unique.
+    const revisions = db.collection("entity_revisions");
+    const previous  = await revisions.findOne({ list: toList, key: newKey }, { sort: { rev: -1 }, projection: { rev: 1 } });
+    await revisions.updateMany({ list, key }, [
+      { $set: { list: toList, key: newKey, rev: { $add: ["$rev", previous?.rev ?? 0] } } },
+    ]);
+    await db.collection("agent_runs").updateMany(
+      { entityKey: key, entityList: list },
+      { $set: { entityKey: newKey, entityList: toList } }
+    );
+    if (list === "trips" && newKey !== key) {
+      await entities.updateMany(
+        { trips: key },
+        withVersionBump({ $set: { "trips.$[trip]": newKey, updatedAt: new Date() } }),
+        { arrayFilters: [{ trip: key }] }
+      );
+    }
+  }
+  await recordEntityRevision({ op: "move", before: entity, after: doc, actor });
+  if (embeddingSourceChanged(entity, doc)) queueEmbeddings([doc]);
+
+  return { doc, from: { list, key } };
+}
+
+export async function appendEntityImages(list, key, filenames = [], { actor } = {}) {
   const db = await connectToMongo();
   const clean = Array.from(new Set(
     filenames
@@ -336,15 +775,14 @@ export async function appendEntityImages(list, key, filenames = []) {
   }
 
   const now = new Date();
-  const result = await db.collection("entities").findOneAndUpdate(
+  return applyEntityUpdate(
     { list, key },
     {
       $addToSet: { images: { $each: clean } },
       $set: { updatedAt: now },
     },
-    { returnDocument: "after" }
+    { actor }
   );
-  return result?.value ?? result ?? null;
 }
 
 // ---- Enrich ----
@@ -372,7 +810,7 @@ async function findNearestCity(location, db, radiusKm = 30) {
   return results[0]?.name ?? null;
 }
 
-export async function enrichEntity(list, key) {
+export async function enrichEntity(list, key, { actor } = {}) {
   const database = await connectToMongo();
   const pages    = database.collection("pages");
   const entities = database.collection("entities");
@@ -426,30 +864,293 @@ export async function enrichEntity(list, key) {
     if (city) update.city = city;
   }
 
-  // 4. Reference — copy from city if page needs it
+  // 4. Country and state — from the bundled boundary dataset; countries too
+  // when the point is near a border
+  if (!skipCoords && location) {
+    const place = reversePlaceFields({ ...entity, location });
+    if (place) Object.assign(update, place);
+  }
+
+  // 5. Reference — copy from city if page needs it
   const city = update.city ?? entity.city;
   if (needsReference && !entity.reference && city) {
     update.reference = city;
   }
 
-  if (Object.keys(update).length === 0) {
-    return { doc: entity, enriched: [] };
+  let doc = entity;
+  if (Object.keys(update).length > 0) {
+    update.updatedAt = new Date();
+    doc = await applyEntityUpdate({ list, key }, { $set: update }, { actor, embed: false });
   }
+  const enriched = Object.keys(update).filter(k => k !== "updatedAt");
 
-  update.updatedAt = new Date();
-  const result = await entities.findOneAndUpdate(
-    { list, key },
-    { $set: update },
-    { returnDocument: "after" }
-  );
-  const doc = result?.value ?? result;
-  return { doc, enriched: Object.keys(update).filter(k => k !== "updatedAt") };
+  // 6. Embedding — computed inline rather than queued so the result reports
+  // it. A failed embedding request doesn't fail the enrich.
+  if (doc && embeddingsConfigured()) {
+    const { embedded } = await refreshEmbeddings([doc]);
+    if (embedded) enriched.push("wikiEmbedding");
+  }
+
+  return { doc, enriched };
+}
+
+// Soft delete: the entity moves to the trash and can be restored until purged.
+// Returns { doc, trashId } or null if the entity doesn't exist.
+export async function deleteEntity(list, key, { actor } = {}) {
+  const db  = await connectToMongo();
+  const doc = await db.collection("entities").findOne({ list, key });
+  if (!doc) return null;
+
+  const trashId = await moveToTrash("entity", doc, actor);
+  if (!trashId) return null;
+  await recordEntityRevision({ op: "delete", before: doc, after: null, actor });
+  return { doc, trashId };
+}
+
+// ---- Revisions ----
+
+// Every write to `entities` records a revision in `entity_revisions`:
+//   { entityId, list, key, rev, op, actor, changes, snapshot, ts }
+// rev counts up per list/key. `snapshot` is the document after the write
+// (null for deletes), minus _id and the embedding, so any revision can be
+// restored. `actor` says who wrote it, e.g. { source: "admin", accountId },
+// { source: "railfan" }, { source: "hygiene", rules: ["U1"] }, { source: "projects" }.
+
+const REVISION_IGNORED_FIELDS  = ["_id", "updatedAt", "version", "wikiEmbedding", "embedding", "searchKey"];
+const REVISION_INSERT_ATTEMPTS = 5;
+
+function revisionSnapshot(doc) {
+  if (!doc) return null;
+  const { _id, wikiEmbedding, embedding, ...rest } = doc;
+  return rest;
+}
+
+// Record a revision for a write that has already happened, or that is part
+// of the transaction `session` belongs to.
+// Writes that changed nothing but updatedAt are not recorded.
+export async function recordEntityRevision({ op, before, after, actor = null, revertedTo = undefined, session = undefined }) {
+  const db      = await connectToMongo();
+  const current = after ?? before;
+  const changes = diffFields(before, after, { ignore: REVISION_IGNORED_FIELDS });
+  if (op === "update" && changes.length === 0) return null;
+
+  const revisions = db.collection("entity_revisions");
+  const revision  = {
+    entityId: current._id,
+    list:     current.list,
+    key:      current.key,
+    rev:      null,
+    op,
+    actor:    actor ?? { source: "unknown" },
+    changes,
+    snapshot: revisionSnapshot(after),
+    ts:       new Date(),
+    ...(revertedTo !== undefined ? { revertedTo } : {}),
+  };
+
+  // Two writes to one entity (an admin edit and the hygiene fix it triggers)
+  // can read the same last rev; the unique index rejects the second insert,
+  // which then takes the next number. Inside a transaction the race is a
+  // write conflict instead, and withTransaction retries the whole callback.
+  for (let attempt = 1; ; attempt++) {
+    const last = await revisions.findOne(
+      { list: current.list, key: current.key },
+      { sort: { rev: -1 }, projection: { rev: 1 }, session }
+    );
+    revision.rev = (last?.rev ?? 0) + 1;
+    try {
+      await revisions.insertOne(revision, { session });
+      return revision;
+    } catch (err) {
+      if (err?.code !== 11000 || session || attempt >= REVISION_INSERT_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// findOneAndUpdate on a single entity, bumping its version and recording the
+// change as a revision. Returns the updated document, or null if nothing
+// matched (including a stale expectedVersion). The entity is re-embedded in
+// the background when its embedding text changed; pass embed: false to handle
+// that yourself. Entities that were never embedded, or were embedded by
+// another model, are left to the backfill (agents/embeddings.js).
+export async function applyEntityUpdate(filter, update, { actor, expectedVersion = null, embed = true } = {}) {
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+  const match    = expectedVersion == null ? filter : { ...filter, ...versionMatch(expectedVersion) };
+  const result   = await entities.findOneAndUpdate(match, withVersionBump(update), { returnDocument: "before" });
+  const before   = result?.value ?? result ?? null;
+  if (!before) return null;
+
+  const after = await entities.findOne({ _id: before._id });
+  await syncSearchKey(entities, after);
+  await recordEntityRevision({ op: "update", before, after, actor });
+  if (embed && embeddingSourceChanged(before, after)) queueEmbeddings([after]);
+  return after;
+}
+
+export async function getEntityHistory(list, key, { limit = 50 } = {}) {
+  const db = await connectToMongo();
+  return db.collection("entity_revisions")
+    .find({ list, key })
+    .sort({ rev: -1 })
+    .limit(limit)
+    .project({ _id: 0, rev: 1, op: 1, actor: 1, changes: 1, ts: 1, revertedTo: 1 })
+    .toArray();
+}
+
+// Restore an entity to the state recorded by revision `rev`. Works on deleted
+// entities too — the document is re-inserted under its original _id, together
+// with its revision and the removal of its trashed copy, as long as its page
+// still exists. Pass expectedVersion (If-Match) to fail instead of
+// overwriting a newer document; an existing entity is only replaced if it is
+// unchanged since it was read either way.
+// The embedding of the current document is kept since snapshots don't store
+// it, and refreshed in the background if the restored text differs.
+// Returns { doc } or { error: "revision_not_found" | "revision_not_restorable"
+// | "page_not_found" | "conflict" } or { error: "version_conflict", current }.
+export async function revertEntity(list, key, rev, { actor, expectedVersion = null } = {}) {
+  const db        = await connectToMongo();
+  const entities  = db.collection("entities");
+  const revision  = await db.collection("entity_revisions").findOne({ list, key, rev });
+
+  if (!revision)          return { error: "revision_not_found" };
+  if (!revision.snapshot) return { error: "revision_not_restorable" };
+
+  const current = await entities.findOne({ list, key });
+  if (expectedVersion != null && (current?.version ?? 0) !== expectedVersion) return { error: "version_conflict", current };
+
+  const now     = new Date();
+  const version = Math.max(current?.version ?? 0, revision.snapshot.version ?? 0) + 1;
+  const doc     = { ...revision.snapshot, list, key, version, updatedAt: now };
+  doc.searchKey = searchKeysFor(doc);
+
+  if (current) {
+    if (current.wikiEmbedding) doc.wikiEmbedding = current.wikiEmbedding;
+    if (current.embedding)     doc.embedding     = current.embedding;
+    const { matchedCount } = await entities.replaceOne({ _id: current._id, ...versionMatch(current.version ?? 0) }, doc);
+    if (matchedCount === 0) return { error: "version_conflict", current: await entities.findOne({ _id: current._id }) };
+    doc._id = current._id;
+    await recordEntityRevision({ op: "revert", before: current, after: doc, actor, revertedTo: rev });
+  } else {
+    doc._id = revision.entityId;
+    try {
+      const result = await inTransaction(async (session) => {
+        const page = await db.collection("pages").findOne({ key: list }, { projection: { _id: 1 }, session });
+        if (!page) return { error: "page_not_found" };
+        await entities.insertOne(doc, { session });
+        // A reverted delete supersedes the trashed copy.
+        await db.collection("trash").deleteOne({ kind: "entity", "doc._id": revision.entityId }, { session });
+        await recordEntityRevision({ op: "revert", before: null, after: doc, actor, revertedTo: rev, session });
+        return null;
+      });
+      if (result) return result;
+    } catch (err) {
+      // Recreated, or restored from the trash, since it was read.
+      if (err?.code === 11000) return { error: "conflict" };
+      throw err;
+    }
+  }
+
+  queueEmbeddings([doc]);
+  return { doc };
 }
 
-export async function deleteEntity(list, key) {
+// ---- Trash ----
+
+// Deleted entities and pages are moved out of their collection into `trash`
+// as { kind, doc, deletedAt, deletedBy }, so every read path excludes them
+// without extra filters. They can be restored until purgeTrash removes them.
+
+const TRASH_COLLECTIONS = { entity: "entities", page: "pages" };
+
+// Runs fn(session) in a transaction; the driver retries it on transient
+// errors such as write conflicts. Needs a replica set (Atlas, or the
+// mongodb-atlas-local image for development).
+async function inTransaction(fn) {
+  await connectToMongo();
+  return client.withSession((session) => session.withTransaction(() => fn(session)));
+}
+
+// Copy a document into the trash and remove it from its collection, together.
+// Returns the trash id, or null if the document was already gone.
+async function moveToTrash(kind, doc, actor = null) {
+  const db = await connectToMongo();
+  return inTransaction(async (session) => {
+    const { deletedCount } = await db.collection(TRASH_COLLECTIONS[kind]).deleteOne({ _id: doc._id }, { session });
+    if (deletedCount === 0) return null;
+    const { insertedId } = await db.collection("trash").insertOne({
+      kind,
+      doc,
+      deletedAt: new Date(),
+      deletedBy: actor ?? { source: "unknown" },
+    }, { session });
+    return insertedId;
+  });
+}
+
+// Returns { results, nextCursor } or { error: "bad_cursor" }, newest first.
+export async function getTrash({ kind = null, limit = 50, cursor = null } = {}) {
+  const db = await connectToMongo();
+  return paginate(db.collection("trash"), {
+    head: [{ $match: kind ? { kind } : {} }],
+    sort: { deletedAt: -1 },
+    cursor,
+    limit,
+    tail: [{ $project: {
+      kind: 1, deletedAt: 1, deletedBy: 1, _cursor: 1,
+      "doc.list": 1, "doc.key": 1, "doc.name": 1, "doc.icon": 1, "doc.icons": 1,
+    }}],
+  });
+}
+
+// Put a trashed document back under its original _id. Entities whose page
+// has since been deleted stay in the trash.
+// Returns { kind, doc } or { error: "not_found" | "conflict" | "page_not_found" }.
+export async function restoreFromTrash(trashId, { actor } = {}) {
+  const db    = await connectToMongo();
+  const trash = db.collection("trash");
+
+  let result;
+  try {
+    result = await inTransaction(async (session) => {
+      const item = await trash.findOne({ _id: trashId }, { session });
+      if (!item) return { error: "not_found" };
+
+      if (item.kind === "entity") {
+        const page = await db.collection("pages").findOne({ key: item.doc.list }, { projection: { _id: 1 }, session });
+        if (!page) return { error: "page_not_found", list: item.doc.list };
+      }
+
+      const collection = db.collection(TRASH_COLLECTIONS[item.kind]);
+      const taken = item.kind === "entity"
+        ? await collection.findOne({ list: item.doc.list, key: item.doc.key }, { projection: { _id: 1 }, session })
+        : await collection.findOne({ key: item.doc.key }, { projection: { _id: 1 }, session });
+      if (taken) return { error: "conflict" };
+
+      const doc = { ...item.doc, version: (item.doc.version ?? 0) + 1, updatedAt: new Date() };
+      if (item.kind === "entity") doc.searchKey = searchKeysFor(doc);
+      await collection.insertOne(doc, { session });
+      await trash.deleteOne({ _id: trashId }, { session });
+      if (item.kind === "entity") await recordEntityRevision({ op: "restore", before: null, after: doc, actor, session });
+      return { kind: item.kind, doc };
+    });
+  } catch (err) {
+    // The key was taken by a write outside the transaction after the check.
+    if (err.code === 11000) return { error: "conflict" };
+    throw err;
+  }
+  if (result.error) return result;
+
+  if (result.kind === "entity") queueEmbeddings([result.doc]);
+  return result;
+}
+
+// Permanently remove trash older than the retention window.
+export async function purgeTrash(retentionDays) {
   const db     = await connectToMongo();
-  const result = await db.collection("entities").findOneAndDelete({ list, key });
-  return result?.value ?? result ?? null;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await db.collection("trash").deleteMany({ deletedAt: { $lt: cutoff } });
+  return deletedCount;
 }
 
 // ---- General entity filter ----
@@ -457,23 +1158,24 @@ export async function deleteEntity(list, key) {
 // Query entities by any MongoDB filter. The router constructs the filter
 // directly, e.g. { list: "canals", country: "BE" } or { list: "metros", city: "Paris" }.
 // Results include page info for each entity.
-export async function getEntitiesByFilter(filter = {}, { limit = 50, sortBy = null, sortDir = 1 } = {}) {
+// Returns { results, nextCursor } or { error: "bad_cursor" | "array_sort" }.
+export async function getEntitiesByFilter(filter = {}, { limit = 50, sortBy = null, sortDir = 1, cursor = null } = {}) {
   const db = await connectToMongo();
   const sort = sortBy ? { [sortBy]: sortDir } : { name: 1 };
 
-  const pipeline = [
-    { $match: filter },
-    { $sort: sort },
-    { $limit: limit },
-    { $lookup: { from: "pages", localField: "list", foreignField: "key", as: "pageInfo" } },
-    { $unwind: { path: "$pageInfo", preserveNullAndEmptyArrays: true } },
-    { $project: {
-      name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, been: 1,
-      page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
-    }},
-  ];
-
-  return db.collection("entities").aggregate(pipeline).toArray();
+  return paginate(db.collection("entities"), {
+    head: [{ $match: filter }],
+    sort,
+    cursor,
+    limit,
+    tail: [
+      ...ENTITY_PAGE_LOOKUP,
+      { $project: {
+        name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, been: 1, _cursor: 1,
+        page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
+      }},
+    ],
+  });
 }
 
 // ---- Country / city grouping ----
@@ -534,109 +1236,685 @@ export async function getEntitiesByArtist(key) {
 // ---- Geo search ----
 
 const GEO_PROJECTION = {
-  name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, coords: 1, been: 1,
+  name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, coords: 1, been: 1, _cursor: 1,
   distanceKm: { $round: [{ $divide: ["$dist.calculated", 1000] }, 1] },
 };
 
 const GEO_PAGE_LOOKUP = [
-  { $lookup: { from: "pages", localField: "list", foreignField: "key", as: "pageInfo" } },
-  { $unwind: { path: "$pageInfo", preserveNullAndEmptyArrays: true } },
+  ...ENTITY_PAGE_LOOKUP,
   { $project: {
     ...GEO_PROJECTION,
     page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
   }},
 ];
 
+const GEO_SORT = { "dist.calculated": 1, _id: 1 };
+
+function geoNearStage(lon, lat, radiusKm, query, minDistance = null) {
+  return { $geoNear: {
+    near:          { type: "Point", coordinates: [lon, lat] },
+    distanceField: "dist.calculated",
+    maxDistance:   radiusKm * 1000,
+    ...(minDistance != null ? { minDistance } : {}),
+    spherical:     true,
+    query,
+  }};
+}
+
 // radius in km, returns entities sorted by distance ascending.
-export async function getEntitiesNearPoint(lon, lat, { radiusKm = 50, listFilter = null, limit = 50 } = {}) {
+// `refine` and `facets` work as in searchByName; facets cover every entity in the radius.
+// Returns { results, nextCursor, facets? } or { error: "bad_cursor" }.
+export async function getEntitiesNearPoint(lon, lat, { radiusKm = 50, listFilter = null, limit = 50, cursor = null, query = {}, refine = null, facets = false } = {}) {
   const db = await connectToMongo();
 
+  const values = cursor ? decodeCursor(cursor, GEO_SORT) : null;
+  if (cursor && !values) return { error: "bad_cursor" };
+
+  const base    = listFilter ? { ...query, list: listFilter } : query;
+  const refined = withFacetMatch(base, refine);
   const pipeline = [
-    { $geoNear: {
-      near:          { type: "Point", coordinates: [lon, lat] },
-      distanceField: "dist.calculated",
-      maxDistance:   radiusKm * 1000,
-      spherical:     true,
-      query:         listFilter ? { list: listFilter } : {},
-    }},
-    { $limit: limit },
+    // Resume at the last page's distance; ties are resolved by the cursor match.
+    geoNearStage(lon, lat, radiusKm, refined, values ? values[0] : null),
+    ...cursorStages(GEO_SORT, values, limit),
     ...GEO_PAGE_LOOKUP,
   ];
 
-  return db.collection("entities").aggregate(pipeline).toArray();
+  const entities = db.collection("entities");
+  const [docs, counts] = await Promise.all([
+    entities.aggregate(pipeline).toArray(),
+    facets && !cursor ? computeFacets(entities, [geoNearStage(lon, lat, radiusKm, base)], refine) : null,
+  ]);
+  return { ...finishPage(docs, GEO_SORT, limit), ...(counts ? { facets: counts } : {}) };
 }
 
 // Find entities near a given entity's location.
-export async function getEntitiesNearEntity(list, key, { radiusKm = 50, limit = 50 } = {}) {
+export async function getEntitiesNearEntity(list, key, { radiusKm = 50, limit = 50, cursor = null } = {}) {
   const db     = await connectToMongo();
   const source = await db.collection("entities").findOne(
     { list, key },
-    { projection: { location: 1, name: 1 } }
+    { projection: { _id: 1, location: 1, name: 1 } }
   );
 
   if (!source)           return { error: "not_found" };
   if (!source.location)  return { error: "no_location" };
 
   const [lon, lat] = source.location.coordinates;
-  const results    = await getEntitiesNearPoint(lon, lat, { radiusKm, limit: limit + 1 });
+  const result     = await getEntitiesNearPoint(lon, lat, {
+    radiusKm,
+    limit,
+    cursor,
+    // Exclude the source entity itself
+    query: { _id: { $ne: source._id } },
+  });
+  if (result.error) return result;
 
-  // Filter out the source entity itself
-  const filtered = results.filter(r => !(r.list === list && r.key === key)).slice(0, limit);
-  return { results: filtered, source: { lon, lat } };
+  return { results: result.results, nextCursor: result.nextCursor, source: { lon, lat } };
 }
 
-// ---- Name search ----
+// ---- Geo: nearest ----
 
-export async function searchByName(name, { listFilter = null, limit = 50 } = {}) {
-  const db    = await connectToMongo();
-  const match = { name: { $regex: name, $options: "i" } };
-  if (listFilter) match.list = listFilter;
+const MAX_NEAREST = 100;
 
+// The k entities closest to a point, however far away, each with distanceKm
+// and the compass bearing from the point. With onePerList only the closest
+// entity of each list counts ("closest metro, closest tripoint, …").
+// listFilter is a key or an array of them; been: false also matches entities
+// with no `been`.
+export async function getNearestEntities(lon, lat, { k = 10, listFilter = null, been = null, onePerList = false } = {}) {
+  const db    = await connectToMongo();
+  const query = vectorFilter({ listFilter, been }) ?? {};
   const pipeline = [
-    { $match: match },
-    { $limit: limit },
-    { $lookup: { from: "pages", localField: "list", foreignField: "key", as: "pageInfo" } },
-    { $unwind: { path: "$pageInfo", preserveNullAndEmptyArrays: true } },
+    { $geoNear: {
+      near:          { type: "Point", coordinates: [lon, lat] },
+      distanceField: "dist.calculated",
+      spherical:     true,
+      query,
+    }},
+    // $geoNear emits documents nearest first, so $first is each list's nearest.
+    ...(onePerList ? [
+      { $group: { _id: "$list", doc: { $first: "$$ROOT" } } },
+      { $replaceWith: "$doc" },
+    ] : []),
+    { $sort: GEO_SORT },
+    { $limit: Math.min(k, MAX_NEAREST) },
+    ...ENTITY_PAGE_LOOKUP,
     { $project: {
-      name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, been: 1,
+      ...GEO_PROJECTION,
+      location: 1,
       page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
     }},
   ];
 
-  return db.collection("entities").aggregate(pipeline).toArray();
+  const docs = await db.collection("entities").aggregate(pipeline).toArray();
+  return docs.map(({ location, _cursor, ...doc }) => ({
+    ...doc,
+    ...compassBearing([lon, lat], location.coordinates),
+  }));
+}
+
+// ---- Geo: within an area ----
+
+const WITHIN_PROJECTION = {
+  name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, coords: 1, been: 1, _cursor: 1,
+  page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
+};
+
+// Entities whose location lies inside a GeoJSON Polygon or MultiPolygon
+// (see bboxToGeometry for boxes), ordered by list then key. listFilter is a
+// key or an array of them; been: false also matches entities with no `been`.
+// Returns { results, nextCursor }, { error: "bad_cursor" } or
+// { error: "bad_geometry", message } when MongoDB rejects the shape.
+export async function getEntitiesWithin(geometry, { listFilter = null, been = null, limit = 100, cursor = null } = {}) {
+  const db    = await connectToMongo();
+  const match = { location: { $geoWithin: { $geometry: geometry } }, ...vectorFilter({ listFilter, been }) };
+  try {
+    return await paginate(db.collection("entities"), {
+      head: [{ $match: match }],
+      sort: { list: 1, key: 1 },
+      cursor,
+      limit,
+      tail: [...ENTITY_PAGE_LOOKUP, { $project: WITHIN_PROJECTION }],
+    });
+  } catch (err) {
+    // BadValue: invalid loops, self-intersections, duplicate vertices.
+    if (err?.code === 2) return { error: "bad_geometry", message: err.errmsg ?? err.message };
+    throw err;
+  }
+}
+
+// ---- Geo: map clusters ----
+
+// At zoom levels below CLUSTER_MAX_ZOOM entities are grouped into grid cells
+// CLUSTER_CELLS_PER_TILE to a side of a map tile, the MAX_CLUSTER_CELLS
+// largest kept; from there on they come back as individual points, up to
+// MAX_CLUSTER_POINTS.
+const CLUSTER_MAX_ZOOM        = 12;
+const CLUSTER_CELLS_PER_TILE  = 4;
+const CLUSTER_TOP_LISTS       = 3;
+const MAX_CLUSTER_CELLS       = 2000;
+const MAX_CLUSTER_POINTS      = 5000;
+
+const CLUSTER_POINT_PROJECTION = {
+  _id: 0, name: 1, list: 1, key: 1, icons: 1, been: 1,
+  coordinates: "$location.coordinates",
+};
+
+// Grid cell size in degrees for a zoom level.
+function clusterCellDegrees(zoom) {
+  return 360 / (2 ** zoom * CLUSTER_CELLS_PER_TILE);
+}
+
+// Entities inside `geometry` (see bboxToGeometry) for a map at `zoom`.
+// Returns { mode: "clusters", cellDegrees, results, truncated } where each
+// result is { type: "cluster", coordinates (centroid), count, beenCount,
+// topLists } — or, for a cell holding one entity, that entity as
+// { type: "point", … } — or { mode: "points", results, truncated } at high zoom.
+export async function getEntityClusters(geometry, { zoom, listFilter = null, been = null } = {}) {
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+  const match    = { location: { $geoWithin: { $geometry: geometry } }, ...vectorFilter({ listFilter, been }) };
+
+  if (zoom >= CLUSTER_MAX_ZOOM) {
+    const points = await entities
+      .find(match, { projection: CLUSTER_POINT_PROJECTION })
+      .sort({ _id: 1 })
+      .limit(MAX_CLUSTER_POINTS + 1)
+      .toArray();
+    return {
+      mode:      "points",
+      results:   points.slice(0, MAX_CLUSTER_POINTS).map((p) => ({ type: "point", ...p })),
+      truncated: points.length > MAX_CLUSTER_POINTS,
+    };
+  }
+
+  const cell = clusterCellDegrees(zoom);
+  const lon  = { $arrayElemAt: ["$location.coordinates", 0] };
+  const lat  = { $arrayElemAt: ["$location.coordinates", 1] };
+  const cells = await entities.aggregate([
+    { $match: match },
+    { $group: {
+      _id: {
+        x:    { $floor: { $divide: [{ $add: [lon, 180] }, cell] } },
+        y:    { $floor: { $divide: [{ $add: [lat, 90] }, cell] } },
+        list: "$list",
+      },
+      count:     { $sum: 1 },
+      beenCount: { $sum: { $cond: [{ $eq: ["$been", true] }, 1, 0] } },
+      lonSum:    { $sum: lon },
+      latSum:    { $sum: lat },
+      point:     { $first: { name: "$name", list: "$list", key: "$key", icons: "$icons", been: "$been", coordinates: "$location.coordinates" } },
+    }},
+    { $sort: { count: -1, "_id.list": 1 } },
+    { $group: {
+      _id:       { x: "$_id.x", y: "$_id.y" },
+      count:     { $sum: "$count" },
+      beenCount: { $sum: "$beenCount" },
+      lonSum:    { $sum: "$lonSum" },
+      latSum:    { $sum: "$latSum" },
+      lists:     { $push: { list: "$_id.list", count: "$count" } },
+      point:     { $first: "$point" },
+    }},
+    { $sort: { count: -1, "_id.x": 1, "_id.y": 1 } },
+    { $limit: MAX_CLUSTER_CELLS + 1 },
+  ]).toArray();
+
+  const results = cells.slice(0, MAX_CLUSTER_CELLS).map((c) => c.count === 1
+    ? { type: "point", ...c.point }
+    : {
+      type:        "cluster",
+      coordinates: [c.lonSum / c.count, c.latSum / c.count].map((v) => Math.round(v * 1e5) / 1e5),
+      count:       c.count,
+      beenCount:   c.beenCount,
+      topLists:    c.lists.slice(0, CLUSTER_TOP_LISTS),
+    });
+
+  // Page names and icons for the top lists, so a cluster can show "🚇 12".
+  const keys  = [...new Set(results.flatMap((r) => (r.topLists ?? []).map((l) => l.list)))];
+  const pages = new Map(
+    (await db.collection("pages").find({ key: { $in: keys } }, { projection: { _id: 0, key: 1, name: 1, icon: 1 } }).toArray())
+      .map((p) => [p.key, p])
+  );
+  for (const r of results) {
+    if (r.topLists) r.topLists = r.topLists.map((l) => ({ ...l, name: pages.get(l.list)?.name, icon: pages.get(l.list)?.icon }));
+  }
+  return { mode: "clusters", cellDegrees: cell, results, truncated: cells.length > MAX_CLUSTER_CELLS };
+}
+
+// ---- Geo: along a route ----
+
+const ROUTE_OFFSET_SORT    = { offset: 1 };
+const MAX_ROUTE_SAMPLES    = 400;
+const MAX_ROUTE_CANDIDATES = 20000;
+
+// Entities within corridorKm of a route (an array of [lon, lat] positions),
+// ordered by how far along the route they are. Each result has distanceKm
+// (from the route) and alongKm (from its start). Candidates come from circles
+// around points sampled along the route, which together cover the corridor;
+// the exact distance is then computed per entity. The cursor is an offset.
+// Returns { lengthKm, results, nextCursor }, { error: "bad_cursor" }, or
+// { error: "too_many_candidates", max } when the circles hold too many entities
+// to rank.
+export async function getEntitiesAlongRoute(coordinates, { corridorKm = 10, listFilter = null, been = null, limit = 50, cursor = null } = {}) {
+  const db = await connectToMongo();
+
+  let offset = 0;
+  if (cursor) {
+    const values = decodeCursor(cursor, ROUTE_OFFSET_SORT);
+    if (!values || !Number.isInteger(values[0]) || values[0] < 0) return { error: "bad_cursor" };
+    offset = values[0];
+  }
+
+  // Every point of the route is within spacing / 2 of a sample, so circles of
+  // corridor + spacing / 2 around the samples cover the corridor, corners
+  // included. At most MAX_ROUTE_SAMPLES + 1 circles, whatever the vertex count.
+  const route   = prepareRoute(coordinates);
+  const spacing = Math.max(corridorKm, route.lengthKm / MAX_ROUTE_SAMPLES);
+  const radius  = kmToRadians((corridorKm + spacing / 2) * 1.01);
+  const circles = sampleRoute(route, spacing).map((center) => ({
+    location: { $geoWithin: { $centerSphere: [center, radius] } },
+  }));
+
+  const entities   = db.collection("entities");
+  const candidates = await entities
+    .find({ $or: circles, ...vectorFilter({ listFilter, been }) }, { projection: { location: 1 } })
+    .limit(MAX_ROUTE_CANDIDATES + 1)
+    .toArray();
+  if (candidates.length > MAX_ROUTE_CANDIDATES) return { error: "too_many_candidates", max: MAX_ROUTE_CANDIDATES };
+
+  const located = candidates
+    .map((doc) => ({ _id: doc._id, ...locateOnRoute(route, doc.location.coordinates) }))
+    .filter((c) => c.distanceKm <= corridorKm)
+    .sort((a, b) => a.alongKm - b.alongKm || a.distanceKm - b.distanceKm || String(a._id).localeCompare(String(b._id)));
+
+  const page = located.slice(offset, offset + limit);
+  const docs = await entities.aggregate([
+    { $match: { _id: { $in: page.map((c) => c._id) } } },
+    ...ENTITY_PAGE_LOOKUP,
+    { $project: WITHIN_PROJECTION },
+  ]).toArray();
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+
+  const round = (km) => Math.round(km * 10) / 10;
+  return {
+    lengthKm:   round(route.lengthKm),
+    results:    page
+      .filter((c) => byId.has(String(c._id)))
+      .map((c) => ({ ...byId.get(String(c._id)), distanceKm: round(c.distanceKm), alongKm: round(c.alongKm) })),
+    nextCursor: located.length > offset + limit ? encodeCursor(ROUTE_OFFSET_SORT, [offset + limit]) : null,
+  };
+}
+
+// ---- Geo: visit order ----
+
+// Order `refs` ({ list, key } pairs) for visiting, from an optional start
+// position to an optional end position ([lon, lat]) — see planVisitOrder.
+// Returns { stops, legs, totalKm, geometry }, where each leg runs between
+// "start", "end" or a stop's { list, key } and geometry is a LineString (null
+// for a lone stop); or { error: "not_found" |
+// "no_location", missing: [{ list, key }] }.
+export async function planEntityRoute(refs, { start = null, end = null } = {}) {
+  const db   = await connectToMongo();
+  const docs = await db.collection("entities").aggregate([
+    { $match: { $or: refs.map(({ list, key }) => ({ list, key })) } },
+    ...ENTITY_PAGE_LOOKUP,
+    { $project: { ...WITHIN_PROJECTION, location: 1 } },
+  ]).toArray();
+
+  const byRef   = new Map(docs.map((d) => [`${d.list}/${d.key}`, d]));
+  const missing = refs.filter((r) => !byRef.has(`${r.list}/${r.key}`));
+  if (missing.length) return { error: "not_found", missing };
+  const unlocated = refs.filter((r) => !byRef.get(`${r.list}/${r.key}`).location?.coordinates);
+  if (unlocated.length) return { error: "no_location", missing: unlocated };
+
+  const entities  = refs.map((r) => byRef.get(`${r.list}/${r.key}`));
+  const positions = entities.map((e) => e.location.coordinates);
+  const order     = planVisitOrder(positions, { start, end });
+
+  const round = (km) => Math.round(km * 10) / 10;
+  const path  = [
+    ...(start ? [{ label: "start", position: start }] : []),
+    ...order.map((i) => ({ label: { list: entities[i].list, key: entities[i].key }, position: positions[i] })),
+    ...(end ? [{ label: "end", position: end }] : []),
+  ];
+  const legs = path.slice(1).map((to, i) => ({
+    from:       path[i].label,
+    to:         to.label,
+    distanceKm: round(distanceKm(path[i].position, to.position)),
+  }));
+
+  return {
+    stops:    order.map((i, n) => {
+      const { _id, location, ...entity } = entities[i];
+      return { order: n + 1, ...entity };
+    }),
+    legs,
+    totalKm:  round(path.slice(1).reduce((km, to, i) => km + distanceKm(path[i].position, to.position), 0)),
+    geometry: path.length > 1 ? { type: "LineString", coordinates: path.map((p) => p.position) } : null,
+  };
+}
+
+// ---- Name search ----
+//
+// Every entity stores `searchKey`: its name and `aliases`, normalized by
+// normalizeSearchText (lowercase, diacritics folded, punctuation dropped).
+// Queries are normalized the same way and matched literally, so "Malmo"
+// finds "Malmö" and regex metacharacters in a query are just characters.
+
+const NAME_MATCH_KINDS  = ["exact", "prefix", "word", "substring"];
+const BACKFILL_BATCH    = 500;
+
+const NAME_SEARCH_PROJECTION = {
+  name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, been: 1, section: 1, version: 1,
+  page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
+};
+
+// Keep searchKey in step with name/aliases after an update.
+async function syncSearchKey(entities, doc) {
+  if (!doc) return;
+  const searchKey = searchKeysFor(doc);
+  if (JSON.stringify(searchKey) === JSON.stringify(doc.searchKey)) return;
+  await entities.updateOne({ _id: doc._id }, { $set: { searchKey } });
+  doc.searchKey = searchKey;
+}
+
+// Fill in searchKey on entities written before it existed. Run at startup;
+// cheap once every entity has one.
+export async function backfillSearchKeys() {
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+  const cursor   = entities.find({ searchKey: { $exists: false } }, { projection: { name: 1, aliases: 1 } });
+
+  let updated = 0;
+  let batch   = [];
+  for await (const doc of cursor) {
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { searchKey: searchKeysFor(doc) } } } });
+    if (batch.length === BACKFILL_BATCH) {
+      await entities.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await entities.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+  }
+  return { updated };
+}
+
+// Smallest edit distance between the query and the start of any word of
+// any search key, so a typo'd prefix ("dusseldorg") still finds
+// "dusseldorf hbf".
+function fuzzyDistance(q, keys, max) {
+  let best = max + 1;
+  for (const key of keys) {
+    best = Math.min(best, editDistance(q, key, max));
+    for (let i = 0; i < key.length && best > 0; i++) {
+      if (i > 0 && key[i - 1] !== " ") continue;
+      best = Math.min(best, editDistance(q, key.slice(i, i + q.length), max));
+    }
+    if (best === 0) break;
+  }
+  return best;
+}
+
+// ---- Fuzzy name index ----
+// The typo fallback compares the query against every searchKey, so those are
+// held in memory (ids, lists, names and keys only) rather than streamed out
+// of Mongo for each query, and reloaded once FUZZY_INDEX_TTL_MS old. New or
+// renamed entities can take that long to show up in fuzzy results. Scans run
+// one at a time, skip names too short to be within reach of the query, and
+// yield to the event loop every FUZZY_SCAN_CHUNK entries so a burst of typo
+// searches doesn't stall other requests. Repeated queries are answered from a
+// small memo, and long queries skip the fallback, so gibberish can't queue up
+// CPU.
+
+const FUZZY_INDEX_TTL_MS = 5 * 60 * 1000;
+const FUZZY_MAX_QUERY    = 40;
+const FUZZY_CANDIDATES   = 500;
+const FUZZY_MEMO_SIZE    = 200;
+const FUZZY_SCAN_CHUNK   = 2000;
+
+let fuzzyIndex   = null; // { loadedAt, entries: [{ _id, list, name, keys, longest }] }
+let fuzzyLoading = null;
+let fuzzyQueue   = Promise.resolve();
+const fuzzyMemo  = new Map();
+
+async function loadFuzzyIndex(entities) {
+  if (fuzzyIndex && Date.now() - fuzzyIndex.loadedAt < FUZZY_INDEX_TTL_MS) return fuzzyIndex;
+  fuzzyLoading ??= (async () => {
+    const entries = [];
+    const cursor  = entities.find({}, { projection: { list: 1, name: 1, aliases: 1, searchKey: 1 } });
+    for await (const doc of cursor) {
+      const keys = doc.searchKey ?? searchKeysFor(doc);
+      entries.push({ _id: doc._id, list: doc.list, name: String(doc.name ?? ""), keys, longest: Math.max(0, ...keys.map((k) => k.length)) });
+    }
+    fuzzyIndex = { loadedAt: Date.now(), entries };
+    fuzzyMemo.clear();
+    return fuzzyIndex;
+  })().finally(() => { fuzzyLoading = null; });
+  return fuzzyLoading;
+}
+
+// The best FUZZY_CANDIDATES entities within edit distance `max` of q, closest
+// first. Returns [{ _id, distance }].
+async function fuzzyCandidates(entities, q, listFilter, max) {
+  const memoKey = `${listFilter ?? ""}\u0000${q}`;
+  const fresh   = fuzzyIndex && Date.now() - fuzzyIndex.loadedAt < FUZZY_INDEX_TTL_MS;
+  if (fresh && fuzzyMemo.has(memoKey)) return fuzzyMemo.get(memoKey);
+
+  const scan = fuzzyQueue.then(async () => {
+    const { entries } = await loadFuzzyIndex(entities);
+    const scored = [];
+    for (let i = 0; i < entries.length; i++) {
+      if (i > 0 && i % FUZZY_SCAN_CHUNK === 0) await new Promise((resolve) => setImmediate(resolve));
+      const entry = entries[i];
+      if (listFilter && entry.list !== listFilter) continue;
+      if (entry.longest < q.length - max) continue;
+      const distance = fuzzyDistance(q, entry.keys, max);
+      if (distance <= max) scored.push({ _id: entry._id, distance, name: entry.name });
+    }
+    scored.sort((a, b) => a.distance - b.distance || a.name.length - b.name.length || a.name.localeCompare(b.name));
+    const top = scored.slice(0, FUZZY_CANDIDATES).map(({ _id, distance }) => ({ _id, distance }));
+
+    if (fuzzyMemo.size >= FUZZY_MEMO_SIZE) fuzzyMemo.delete(fuzzyMemo.keys().next().value);
+    fuzzyMemo.set(memoKey, top);
+    return top;
+  });
+  fuzzyQueue = scan.catch(() => {});
+  return scan;
+}
+
+// Used when the literal search finds nothing: rank entities by edit
+// distance (up to 1 for short queries, 2 or 3 for longer ones). Returns the
+// refined results and the ids of every candidate before refinement.
+async function fuzzyNameSearch(q, { listFilter, limit, refine = null }) {
+  if (q.length > FUZZY_MAX_QUERY) return { results: [], candidateIds: [] };
+  const db           = await connectToMongo();
+  const entities     = db.collection("entities");
+  const max          = q.length <= 4 ? 1 : q.length <= 8 ? 2 : 3;
+  const candidates   = await fuzzyCandidates(entities, q, listFilter, max);
+  const candidateIds = candidates.map((c) => c._id);
+  if (candidates.length === 0) return { results: [], candidateIds };
+
+  const docs = await entities.aggregate([
+    { $match: withFacetMatch({ _id: { $in: candidateIds } }, refine) },
+    ...ENTITY_PAGE_LOOKUP,
+    { $project: NAME_SEARCH_PROJECTION },
+  ]).toArray();
+  const byId    = new Map(docs.map((d) => [String(d._id), d]));
+  const results = candidates
+    .filter((c) => byId.has(String(c._id)))
+    .slice(0, limit)
+    .map((c) => ({ ...byId.get(String(c._id)), match: "fuzzy", distance: c.distance }));
+  return { results, candidateIds };
+}
+
+// Accent-insensitive literal name search, ranked exact → prefix → word start
+// → substring, then by name. Each result's `match` says which. When nothing
+// matches literally, the first page falls back to typo-tolerant matching
+// (results with match: "fuzzy" and their edit distance; fuzzy: true, no cursor).
+// `refine` narrows the results by facet values (see the Facets section); with
+// `facets`, the first page also returns counts over every match.
+// Returns { results, nextCursor, fuzzy, facets? } or { error: "bad_cursor" }.
+export async function searchByName(name, { listFilter = null, limit = 50, cursor = null, refine = null, facets = false } = {}) {
+  const db = await connectToMongo();
+  const q  = normalizeSearchText(name);
+  if (!q) return { results: [], nextCursor: null, fuzzy: false };
+
+  const literal = escapeRegex(q);
+  const match   = {
+    $or: [
+      { searchKey: { $regex: literal } },
+      // Entities the startup backfill hasn't reached yet.
+      { searchKey: { $exists: false }, name: { $regex: escapeRegex(String(name).trim()), $options: "i" } },
+    ],
+  };
+  if (listFilter) match.list = listFilter;
+  const entities = db.collection("entities");
+
+  const keys   = { $ifNull: ["$searchKey", [{ $toLower: "$name" }]] };
+  const anyKey = (regex) => ({
+    $anyElementTrue: [{ $map: { input: keys, as: "k", in: { $regexMatch: { input: "$$k", regex } } } }],
+  });
+
+  const result = await paginate(entities, {
+    head: [
+      { $match: withFacetMatch(match, refine) },
+      { $set: { matchRank: { $switch: {
+        branches: [
+          { case: { $in: [q, keys] },          then: 0 },
+          { case: anyKey(`^${literal}`),       then: 1 },
+          { case: anyKey(`(^| )${literal}`),   then: 2 },
+        ],
+        default: 3,
+      } } } },
+    ],
+    sort: { matchRank: 1, name: 1, list: 1, key: 1 },
+    cursor,
+    limit,
+    tail: [
+      ...ENTITY_PAGE_LOOKUP,
+      { $project: {
+        ...NAME_SEARCH_PROJECTION, _cursor: 1,
+        match: { $arrayElemAt: [NAME_MATCH_KINDS, "$matchRank"] },
+      }},
+    ],
+  });
+  if (result.error) return result;
+
+  // Facets count every literal match, or every fuzzy candidate before refinement.
+  if (result.results.length === 0 && !cursor) {
+    const { results, candidateIds } = await fuzzyNameSearch(q, { listFilter, limit, refine });
+    const counts = facets ? await computeFacets(entities, [{ $match: { _id: { $in: candidateIds } } }], refine) : null;
+    return { results, nextCursor: null, fuzzy: true, ...(counts ? { facets: counts } : {}) };
+  }
+  const counts = facets && !cursor ? await computeFacets(entities, [{ $match: match }], refine) : null;
+  return { ...result, fuzzy: false, ...(counts ? { facets: counts } : {}) };
 }
 
 // ---- Props search ----
 
-// Query entities in a list by their props using MongoDB filter syntax.
-// The filter object uses dotted paths, e.g.:
-//   { "props.stations": { $gte: 50 } }
-//   { "props.european-union": true }
-//   { "props.opened": { $gte: 1970, $lte: 1990 } }
+// Query entities in a list by their props using the query language in
+// filters.js, e.g.:
+//   props.stations >= 50
+//   props.european-union = true
+//   props.opened between 1970 and 1990
 //
-// sortBy is a dotted prop path (e.g. "props.stations"); sortDir is 1 or -1.
+// sort is a field list like "props.stations:desc,name". Both are checked
+// against the list's props schema when it has one.
 // Results include the page info for each entity.
-export async function queryByProps(list, filter = {}, { limit = 50, sortBy = null, sortDir = -1 } = {}) {
+// Returns { page, results, nextCursor }, { error: "page_not_found" | "bad_cursor" },
+// or { error: "bad_filter", message }.
+export async function queryByProps(list, filter = "", { limit = 50, sort = null, cursor = null } = {}) {
   const db   = await connectToMongo();
   const page = await db.collection("pages").findOne({ key: list });
   if (!page) return { error: "page_not_found" };
 
-  const match = { list, ...filter };
+  let match, order;
+  try {
+    const schema = Array.isArray(page.propsSchema) ? page.propsSchema : null;
+    match = { $and: [{ list }, compileFilter(filter, { schema })] };
+    order = compileSort(sort, { schema }) ?? { name: 1 };
+  } catch (err) {
+    if (err.badFilter) return { error: "bad_filter", message: err.message };
+    throw err;
+  }
 
-  const pipeline = [
+  const result = await paginate(db.collection("entities"), {
+    head: [{ $match: match }],
+    sort: order,
+    cursor,
+    limit,
+    tail: [
+      ...ENTITY_PAGE_LOOKUP,
+      { $project: {
+        name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, props: 1, been: 1, _cursor: 1,
+        page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
+      }},
+    ],
+  });
+  if (result.error === "array_sort") return { error: "bad_filter", message: `Can't sort by '${result.field}': it holds arrays` };
+  if (result.error) return result;
+
+  return { page, results: result.results, nextCursor: result.nextCursor };
+}
+
+// ---- Props schema ----
+
+const BSON_PROP_TYPES = {
+  string: "string", double: "number", int: "integer", long: "integer", decimal: "number",
+  bool: "boolean", array: "array", object: "object", date: "date",
+};
+
+// The list's declared props schema, each field annotated with how many
+// entities set it. Props in use but missing from the schema come back as
+// `undeclared`; for lists without a schema every prop in use is listed with
+// the types observed. propertyOf pages report their parent list's schema.
+// Returns null if the page doesn't exist.
+export async function getPropsSchema(key) {
+  const db    = await connectToMongo();
+  const pages = db.collection("pages");
+  const page  = await pages.findOne({ key });
+  if (!page) return null;
+
+  const owner = page.propertyOf ? await pages.findOne({ key: page.propertyOf }) : page;
+  const match = page.propertyOf
+    ? { list: page.propertyOf, [`props.${key}`]: { $exists: true } }
+    : { list: key };
+
+  const rows = await db.collection("entities").aggregate([
     { $match: match },
-    ...(sortBy ? [{ $sort: { [sortBy]: sortDir } }] : [{ $sort: { name: 1 } }]),
-    { $limit: limit },
-    { $lookup: { from: "pages", localField: "list", foreignField: "key", as: "pageInfo" } },
-    { $unwind: { path: "$pageInfo", preserveNullAndEmptyArrays: true } },
-    { $project: {
-      name: 1, list: 1, key: 1, icons: 1, link: 1, reference: 1, props: 1, been: 1,
-      page: { name: "$pageInfo.name", icon: "$pageInfo.icon", key: "$pageInfo.key" },
-    }},
-  ];
+    { $project: { prop: { $objectToArray: { $ifNull: ["$props", {}] } } } },
+    { $unwind: "$prop" },
+    { $group: { _id: { name: "$prop.k", type: { $type: "$prop.v" } }, count: { $sum: 1 } } },
+  ]).toArray();
+
+  const observed = new Map();
+  for (const { _id, count } of rows) {
+    const type = BSON_PROP_TYPES[_id.type];
+    if (!type) continue;
+    const entry = observed.get(_id.name) ?? { name: _id.name, types: [], count: 0 };
+    if (!entry.types.includes(type)) entry.types.push(type);
+    entry.count += count;
+    observed.set(_id.name, entry);
+  }
+
+  const schema = Array.isArray(owner?.propsSchema) ? owner.propsSchema : null;
+  if (!schema) {
+    return {
+      list:       owner?.key ?? key,
+      declared:   false,
+      fields:     [...observed.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      undeclared: [],
+    };
+  }
 
-  const results = await db.collection("entities").aggregate(pipeline).toArray();
-  return { page, results };
+  return {
+    list:       owner.key,
+    declared:   true,
+    fields:     schema.map((f) => ({ ...f, count: observed.get(f.name)?.count ?? 0 })),
+    undeclared: [...observed.values()].filter((o) => !schema.some((f) => f.name === o.name)),
+  };
 }
 
 // ---- Semantic search ----
@@ -656,27 +1934,82 @@ const PAGE_LOOKUP = [
   }},
 ];
 
-function vectorSearchStage(queryVector, limit) {
+// Pre-filter for $vectorSearch, or null. `listFilter` and `country` take a
+// value or an array of them; country matches `country` or `countries`.
+// been: false also matches entities with no `been`.
+function vectorFilter({ listFilter = null, country = null, been = null, city = null } = {}) {
+  const any     = (v) => (Array.isArray(v) ? { $in: v } : { $eq: v });
+  const clauses = [];
+  if (listFilter) clauses.push({ list: any(listFilter) });
+  if (country)    clauses.push({ $or: [{ country: any(country) }, { countries: any(country) }] });
+  if (been != null) clauses.push(been ? { been: { $eq: true } } : { been: { $ne: true } });
+  if (city)       clauses.push({ city: { $eq: city } });
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// Filtered searches look at more candidates, since the filter is applied
+// while the nearest neighbours are collected.
+function vectorSearchStage(queryVector, limit, filter = null) {
   return {
     $vectorSearch: {
-      index:         "wikiEmbeddings",
+      index:         getEmbeddingProvider().index,
       path:          "wikiEmbedding",
       queryVector,
-      numCandidates: limit * 5,
+      numCandidates: Math.min(limit * (filter ? 10 : 5), 10000),
       limit,
+      ...(filter ? { filter } : {}),
     },
   };
 }
 
-export async function searchByVector(queryVector, { listFilter = null, limit = 50 } = {}) {
-  const db       = await connectToMongo();
-  const pipeline = [vectorSearchStage(queryVector, limit)];
-  if (listFilter) pipeline.push({ $match: { list: listFilter } });
-  pipeline.push({ $project: SEARCH_PROJECTION }, ...PAGE_LOOKUP);
-  return db.collection("entities").aggregate(pipeline).toArray();
+// $vectorSearch can't resume from a key, so its cursor is an offset into the
+// ranked results and each page re-runs the search with a larger limit.
+const VECTOR_OFFSET_SORT  = { offset: 1 };
+const MAX_VECTOR_RESULTS  = 1000;
+
+// Filters (listFilter, country, been, city — see vectorFilter) and facet
+// refinements are applied inside $vectorSearch, so a narrow filter still
+// returns a full page. With `facets`, the first page also returns counts over
+// the top MAX_VECTOR_RESULTS matches — everything paging could reach.
+// Returns { results, nextCursor, facets? } or { error: "bad_cursor" }.
+export async function searchByVector(queryVector, { listFilter = null, country = null, been = null, city = null, limit = 50, cursor = null, refine = null, facets = false } = {}) {
+  const db = await connectToMongo();
+
+  let offset = 0;
+  if (cursor) {
+    const values = decodeCursor(cursor, VECTOR_OFFSET_SORT);
+    if (!values || !Number.isInteger(values[0]) || values[0] < 0) return { error: "bad_cursor" };
+    offset = values[0];
+  }
+
+  // A refinement narrows the same top MAX_VECTOR_RESULTS that the facets
+  // count, rather than searching again with it as a filter, so "Metros: 40"
+  // means 40 results after clicking it.
+  const filter   = vectorFilter({ listFilter, country, been, city });
+  const refined  = facetMatch(refine);
+  const pipeline = refined
+    ? [vectorSearchStage(queryVector, MAX_VECTOR_RESULTS, filter), { $match: refined }]
+    : [vectorSearchStage(queryVector, Math.min(offset + limit + 1, MAX_VECTOR_RESULTS), filter)];
+  pipeline.push({ $skip: offset }, { $limit: limit + 1 }, { $project: SEARCH_PROJECTION }, ...PAGE_LOOKUP);
+
+  const entities = db.collection("entities");
+  const [docs, counts] = await Promise.all([
+    entities.aggregate(pipeline).toArray(),
+    facets && offset === 0
+      ? computeFacets(entities, [vectorSearchStage(queryVector, MAX_VECTOR_RESULTS, filter)], refine)
+      : null,
+  ]);
+  const hasMore = docs.length > limit;
+  return {
+    results:    hasMore ? docs.slice(0, limit) : docs,
+    nextCursor: hasMore ? encodeCursor(VECTOR_OFFSET_SORT, [offset + limit]) : null,
+    ...(counts ? { facets: counts } : {}),
+  };
 }
 
-export async function getSimilarEntities(list, key, { limit = 50 } = {}) {
+// Takes the same filters as searchByVector.
+export async function getSimilarEntities(list, key, { listFilter = null, country = null, been = null, city = null, limit = 50 } = {}) {
   const db     = await connectToMongo();
   const source = await db.collection("entities").findOne(
     { list, key },
@@ -687,7 +2020,7 @@ export async function getSimilarEntities(list, key, { limit = 50 } = {}) {
   if (!source.wikiEmbedding) return { error: "no_embedding" };
 
   const pipeline = [
-    vectorSearchStage(source.wikiEmbedding, limit + 1),
+    vectorSearchStage(source.wikiEmbedding, limit + 1, vectorFilter({ listFilter, country, been, city })),
     { $project: SEARCH_PROJECTION },
     ...PAGE_LOOKUP,
   ];
@@ -697,14 +2030,456 @@ export async function getSimilarEntities(list, key, { limit = 50 } = {}) {
   return { results: filtered };
 }
 
-export async function embedText(text) {
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  const { data } = await openai.embeddings.create({
-    model:      "text-embedding-3-small",
-    input:      text,
-    dimensions: 512,
+// ---- Facets ----
+// Counts by list, country, been and city over a whole result set, so a search
+// can say "12 in Metros, 4 in Trams". A refinement ({ list, country, been,
+// city }, each a value or — for list and country — an array) narrows the
+// results; each facet's counts apply every refinement except its own, so the
+// other values of a refined facet stay visible. country counts an entity once
+// for each code in country and countries.
+
+export const FACET_FIELDS = ["list", "country", "been", "city"];
+const FACET_LIMIT = 50; // values per facet, most frequent first
+
+// The refinement as a filter (the same shape vectorFilter builds, so it also
+// works inside $vectorSearch), optionally leaving one field out.
+function facetMatch(refine, except = null) {
+  if (!refine) return null;
+  const pick = (field) => (field === except ? null : refine[field] ?? null);
+  return vectorFilter({ listFilter: pick("list"), country: pick("country"), been: pick("been"), city: pick("city") });
+}
+
+function withFacetMatch(filter, refine) {
+  const match = facetMatch(refine);
+  if (!match) return filter;
+  if (!filter || Object.keys(filter).length === 0) return match;
+  return { $and: [filter, match] };
+}
+
+const FACET_GROUPS = {
+  list: [
+    { $group: { _id: "$list", count: { $sum: 1 } } },
+  ],
+  country: [
+    { $project: { codes: { $setUnion: [
+      { $cond: [{ $isArray: "$countries" }, "$countries", []] },
+      { $cond: [{ $eq: [{ $type: "$country" }, "string"] }, ["$country"], []] },
+    ] } } },
+    { $unwind: "$codes" },
+    { $group: { _id: "$codes", count: { $sum: 1 } } },
+  ],
+  been: [
+    { $group: { _id: { $eq: ["$been", true] }, count: { $sum: 1 } } },
+  ],
+  city: [
+    { $match: { city: { $type: "string", $ne: "" } } },
+    { $group: { _id: "$city", count: { $sum: 1 } } },
+  ],
+};
+
+const FACET_LIST_PAGES = [
+  { $lookup: { from: "pages", localField: "_id", foreignField: "key", as: "pageInfo" } },
+  { $project: {
+    _id: 0, value: "$_id", count: 1,
+    name: { $arrayElemAt: ["$pageInfo.name", 0] },
+    icon: { $arrayElemAt: ["$pageInfo.icon", 0] },
+  }},
+];
+
+function facetStage(refine) {
+  return { $facet: Object.fromEntries(FACET_FIELDS.map((field) => {
+    const match = facetMatch(refine, field);
+    return [field, [
+      ...(match ? [{ $match: match }] : []),
+      ...FACET_GROUPS[field],
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+      ...(field === "list" ? FACET_LIST_PAGES : [{ $project: { _id: 0, value: "$_id", count: 1 } }]),
+    ]];
+  })) };
+}
+
+// `head` selects the unrefined result set. Returns
+// { list: [{ value, name, icon, count }], country: [{ value, count }], been, city }.
+async function computeFacets(collection, head, refine = null) {
+  const [facets] = await collection.aggregate([...head, facetStage(refine)]).toArray();
+  return facets;
+}
+
+// Facets for a fixed set of entities, given as { list, key } pairs — for
+// POST /search, whose results are merged from several tools rather than one
+// query. Also returns the pairs that pass every refinement.
+// Returns { facets, matching }.
+export async function getFacetsForEntities(refs, refine = null) {
+  if (refs.length === 0) {
+    return { facets: Object.fromEntries(FACET_FIELDS.map((f) => [f, []])), matching: [] };
+  }
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+  const head     = [{ $match: { $or: refs.map(({ list, key }) => ({ list, key })) } }];
+  const [facets, matching] = await Promise.all([
+    computeFacets(entities, head, refine),
+    entities.aggregate([...head, { $match: withFacetMatch({}, refine) }, { $project: { _id: 0, list: 1, key: 1 } }]).toArray(),
+  ]);
+  return { facets, matching };
+}
+
+// ---- Embeddings ----
+
+// wikiEmbedding is computed from an entity's name, its page's name, its notes
+// and its wikiSummary. Alongside it, `embedding` records how it was made:
+//   { provider, model, dimensions, textHash, embeddedAt }
+// so entities whose text changed, or that were embedded by another model or
+// provider (embeddings.js), can be found and re-embedded (see agents/embeddings.js).
+
+const EMBEDDING_SOURCE_FIELDS     = ["name", "list", "notes", "wikiSummary"];
+const EMBEDDING_SOURCE_PROJECTION = Object.fromEntries(EMBEDDING_SOURCE_FIELDS.map((f) => [f, 1]));
+const EMBED_BATCH                 = 100;
+
+export function embeddingTextFor(entity, page = null) {
+  const notes = Array.isArray(entity.notes) ? entity.notes : [entity.notes];
+  return [entity.name, page?.name, ...notes, entity.wikiSummary]
+    .filter((part) => typeof part === "string" && part.trim())
+    .map((part) => part.trim())
+    .join("\n");
+}
+
+function embeddingTextHash(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+function embeddingIsCurrent(entity, provider, textHash = entity.embedding?.textHash) {
+  const meta = entity.embedding;
+  return meta?.model === provider.model
+    && meta.dimensions === provider.dimensions
+    && meta.textHash === textHash;
+}
+
+function embeddingSourceChanged(before, after) {
+  return EMBEDDING_SOURCE_FIELDS.some((f) => JSON.stringify(before?.[f]) !== JSON.stringify(after?.[f]));
+}
+
+// Entities with no embedding, or one made by a model other than the
+// configured provider's.
+export function staleEmbeddingFilter() {
+  const { model, dimensions } = getEmbeddingProvider();
+  return {
+    $or: [
+      { wikiEmbedding: { $exists: false } },
+      { "embedding.model": { $ne: model } },
+      { "embedding.dimensions": { $ne: dimensions } },
+    ],
+  };
+}
+
+// Embed the given entity documents, skipping those whose embedding is already
+// current (same model, same text) unless `force`. Documents are re-read after
+// the embedding call: one whose text changed meanwhile is left alone, since
+// that write queued its own, while other writes (hygiene fixes, images) don't
+// stop the embedding being stored. Embedding API failures are counted, not
+// thrown.
+// Returns { embedded, current, changed, failed }.
+export async function refreshEmbeddings(docs, { force = false } = {}) {
+  const summary = { embedded: 0, current: 0, changed: 0, failed: 0 };
+  if (!docs.length) return summary;
+
+  const provider = getEmbeddingProvider();
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+  const lists    = [...new Set(docs.map((d) => d.list))];
+  const pages    = new Map(
+    (await db.collection("pages").find({ key: { $in: lists } }, { projection: { key: 1, name: 1 } }).toArray())
+      .map((p) => [p.key, p])
+  );
+
+  const pending = [];
+  for (const doc of docs) {
+    const text     = embeddingTextFor(doc, pages.get(doc.list));
+    const textHash = embeddingTextHash(text);
+    if (!force && embeddingIsCurrent(doc, provider, textHash)) summary.current++;
+    else pending.push({ doc, text, textHash });
+  }
+
+  for (let i = 0; i < pending.length; i += EMBED_BATCH) {
+    const batch = pending.slice(i, i + EMBED_BATCH);
+    let vectors;
+    try {
+      vectors = await embedTexts(batch.map((p) => p.text));
+    } catch (err) {
+      console.error("[embeddings] embedding request failed:", err.message);
+      summary.failed += batch.length;
+      continue;
+    }
+
+    // The write matches on the source fields as re-read, so a text change
+    // between the re-read and the write is caught too.
+    const current = new Map(
+      (await entities.find({ _id: { $in: batch.map((p) => p.doc._id) } }, { projection: EMBEDDING_SOURCE_PROJECTION }).toArray())
+        .map((d) => [String(d._id), d])
+    );
+    const unchanged = [];
+    batch.forEach((p, j) => {
+      const now = current.get(String(p.doc._id));
+      if (now && embeddingTextHash(embeddingTextFor(now, pages.get(now.list))) === p.textHash) unchanged.push({ ...p, now, vector: vectors[j] });
+    });
+    summary.changed += batch.length - unchanged.length;
+    if (!unchanged.length) continue;
+
+    const embeddedAt = new Date();
+    const { matchedCount } = await entities.bulkWrite(unchanged.map(({ doc, textHash, now, vector }) => ({
+      updateOne: {
+        filter: { _id: doc._id, ...Object.fromEntries(EMBEDDING_SOURCE_FIELDS.map((f) => [f, now[f] ?? null])) },
+        update: { $set: {
+          wikiEmbedding: vector,
+          embedding:     {
+            provider:   provider.name,
+            model:      provider.model,
+            dimensions: provider.dimensions,
+            textHash,
+            embeddedAt,
+          },
+        }},
+      },
+    })), { ordered: false });
+    summary.embedded += matchedCount;
+    summary.changed  += unchanged.length - matchedCount;
+  }
+  return summary;
+}
+
+// Embed freshly written entities in the background, so a write never waits
+// on — or fails because of — the embedding API.
+export function queueEmbeddings(docs) {
+  const pending = docs.filter(Boolean);
+  if (!pending.length || !embeddingsConfigured()) return;
+  refreshEmbeddings(pending).catch((err) => {
+    console.error(`[embeddings] failed for ${pending.map((d) => `${d.list}/${d.key}`).join(", ")}:`, err.message);
   });
-  return data[0].embedding;
+}
+
+// ---- Hybrid search ----
+
+// Reciprocal rank fusion: each signal contributes 1 / (RRF_K + rank).
+const RRF_K           = 60;
+const EXACT_BOOST     = 0.05;
+const PREFIX_BOOST    = 0.02;
+const NAME_CANDIDATES = 200;
+
+// Entities whose names contain every word of a multi-word query, each at the
+// start of a word and in any order ("paris tram" finds "Tramway de Paris"),
+// shortest names first. Only queried when the query has more than one word.
+async function searchByNameWords(words, { listFilter, limit }) {
+  const db    = await connectToMongo();
+  const match = { $and: words.map((w) => ({ searchKey: { $regex: `(^| )${escapeRegex(w)}` } })) };
+  if (listFilter) match.list = listFilter;
+  return db.collection("entities").aggregate([
+    { $match: match },
+    { $set: { nameLength: { $strLenCP: { $ifNull: ["$name", ""] } } } },
+    { $sort: { nameLength: 1, name: 1, list: 1, key: 1 } },
+    { $limit: limit },
+    ...ENTITY_PAGE_LOOKUP,
+    { $project: NAME_SEARCH_PROJECTION },
+  ]).toArray();
+}
+
+// Name and semantic search run together and merged with reciprocal rank
+// fusion. Name matches (see searchByName, including its typo fallback) are
+// ranked exact → prefix → word start → substring (shorter names first), and
+// exact and prefix matches get a fixed boost on top of their fused score.
+// Multi-word queries also match names containing every word in any order
+// (kind "words"), ranked after the literal matches.
+// Each result carries `score` and `match`, which explains the signals that
+// found it:
+//   { name: { rank, kind } | null, semantic: { rank, score } | null, boost }
+// Semantic search is skipped (semantic: false in the response) when no
+// embedding API key is configured or the embedding call fails.
+// Returns { results, semantic }.
+export async function hybridSearch(query, { listFilter = null, limit = 20 } = {}) {
+  const q = String(query || "").trim();
+  if (!q) return { results: [], semantic: false };
+
+  const candidates = Math.min(Math.max(limit * 3, 50), 100);
+
+  const semanticSearch = async () => {
+    if (!embeddingsConfigured()) return null;
+    try {
+      const vector = await embedText(q);
+      return (await searchByVector(vector, { listFilter, limit: candidates })).results;
+    } catch (err) {
+      console.error("[hybridSearch] semantic search failed:", err.message);
+      return null;
+    }
+  };
+
+  const words = normalizeSearchText(q).split(" ");
+  const [byName, byWords, bySemantic] = await Promise.all([
+    searchByName(q, { listFilter, limit: NAME_CANDIDATES }),
+    words.length > 1 ? searchByNameWords(words, { listFilter, limit: NAME_CANDIDATES }) : [],
+    semanticSearch(),
+  ]);
+
+  // searchByName orders by match kind then alphabetically; within a kind
+  // prefer shorter names, which are closer to the query.
+  const literal = byName.results
+    .map(({ match: kind, distance: _distance, ...doc }, i) => ({ doc, kind, i }))
+    .sort((a, b) => (a.kind === b.kind && a.kind !== "fuzzy" ? String(a.doc.name).length - String(b.doc.name).length : a.i - b.i));
+  const seen       = new Set(literal.map(({ doc }) => `${doc.list}/${doc.key}`));
+  const nameRanked = [
+    ...literal,
+    ...byWords.filter((doc) => !seen.has(`${doc.list}/${doc.key}`)).map((doc) => ({ doc, kind: "words" })),
+  ];
+
+  const fused = new Map();
+  const entry = (doc) => {
+    const id = `${doc.list}/${doc.key}`;
+    if (!fused.has(id)) {
+      const { score: _score, _cursor, ...rest } = doc;
+      fused.set(id, { doc: rest, score: 0, match: { name: null, semantic: null, boost: 0 } });
+    }
+    return fused.get(id);
+  };
+
+  nameRanked.forEach(({ doc, kind }, i) => {
+    const e = entry(doc);
+    e.match.name = { rank: i + 1, kind };
+    e.score     += 1 / (RRF_K + i + 1);
+    e.match.boost = kind === "exact" ? EXACT_BOOST : kind === "prefix" ? PREFIX_BOOST : 0;
+    e.score     += e.match.boost;
+  });
+
+  (bySemantic || []).forEach((doc, i) => {
+    const e = entry(doc);
+    e.match.semantic = { rank: i + 1, score: doc.score };
+    e.score         += 1 / (RRF_K + i + 1);
+  });
+
+  const results = [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score, match }) => ({ ...doc, score: Number(score.toFixed(6)), match }));
+
+  return { results, semantic: bySemantic != null };
+}
+
+// ---- Search log ----
+
+// Every POST /search and GET /entities?search= is logged to `search_log`, a
+// capped collection, so the oldest entries roll off on their own:
+//   { ts, source: "search" | "entities", query, normalizedQuery, tools, args,
+//     resultCount, latencyMs, icon, corrected?, error? }
+// normalizedQuery folds case, accents and punctuation so "Canals in Belgium"
+// and "canals in belgium?" count as one query.
+
+const SEARCH_LOG_BYTES = 50 * 1024 * 1024;
+
+export const SEARCH_LOG_SOURCES = ["search", "entities"];
+export const SEARCH_LOG_BUCKETS = ["hour", "day", "week", "month"];
+
+async function ensureSearchLog(db) {
+  try {
+    await db.createCollection("search_log", { capped: true, size: SEARCH_LOG_BYTES });
+  } catch (err) {
+    if (err?.codeName !== "NamespaceExists") throw err;
+  }
+  await db.collection("search_log").createIndex({ ts: -1 });
+}
+
+// Write a log entry in the background; a failed write never fails the search.
+export function logSearch({ source, query, tools = [], args = null, resultCount = 0, latencyMs, icon = null, corrected = false, error = null }) {
+  const entry = {
+    ts:              new Date(),
+    source,
+    query,
+    normalizedQuery: normalizeSearchText(query),
+    tools,
+    args,
+    resultCount,
+    latencyMs,
+    icon,
+    ...(corrected ? { corrected } : {}),
+    ...(error ? { error } : {}),
+  };
+  connectToMongo()
+    .then((db) => db.collection("search_log").insertOne(entry))
+    .catch((err) => console.error("[search-log] write failed:", err.message));
+}
+
+function searchLogMatch({ days, source }) {
+  const match = { ts: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+  if (source) match.source = source;
+  return match;
+}
+
+// Unique tools across the grouped entries' `tools` arrays.
+const MERGE_TOOL_SETS = { $reduce: { input: "$toolSets", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } };
+
+// Most frequent queries in the last `days` days, with how often they found nothing.
+export async function getTopSearchQueries({ days = 30, source = null, limit = 50 } = {}) {
+  const db = await connectToMongo();
+  return db.collection("search_log").aggregate([
+    { $match: searchLogMatch({ days, source }) },
+    { $sort: { ts: 1 } },
+    { $group: {
+      _id:          "$normalizedQuery",
+      query:        { $last: "$query" },
+      count:        { $sum: 1 },
+      zeroResults:  { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+      avgResults:   { $avg: "$resultCount" },
+      avgLatencyMs: { $avg: "$latencyMs" },
+      toolSets:     { $addToSet: "$tools" },
+      lastAt:       { $max: "$ts" },
+    }},
+    { $sort: { count: -1, lastAt: -1 } },
+    { $limit: limit },
+    { $project: {
+      _id: 0, query: 1, normalizedQuery: "$_id", count: 1, zeroResults: 1,
+      avgResults: { $round: ["$avgResults", 1] }, avgLatencyMs: { $round: ["$avgLatencyMs", 0] },
+      tools: MERGE_TOOL_SETS, lastAt: 1,
+    }},
+  ]).toArray();
+}
+
+// Queries that ran without error but returned nothing, most frequent first,
+// with the arguments of the latest attempt — candidates for new lists or synonyms.
+export async function getZeroResultQueries({ days = 30, source = null, limit = 50 } = {}) {
+  const db = await connectToMongo();
+  return db.collection("search_log").aggregate([
+    { $match: { ...searchLogMatch({ days, source }), resultCount: 0, error: { $exists: false } } },
+    { $sort: { ts: 1 } },
+    { $group: {
+      _id:      "$normalizedQuery",
+      query:    { $last: "$query" },
+      count:    { $sum: 1 },
+      toolSets: { $addToSet: "$tools" },
+      lastArgs: { $last: "$args" },
+      lastAt:   { $max: "$ts" },
+    }},
+    { $sort: { count: -1, lastAt: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, query: 1, normalizedQuery: "$_id", count: 1, tools: MERGE_TOOL_SETS, lastArgs: 1, lastAt: 1 } },
+  ]).toArray();
+}
+
+// Searches per tool per hour, day, week or month. A search that called two
+// tools counts once for each; one that called none counts under "none".
+// Returns [{ period, total, tools: { <tool>: count } }], oldest first.
+export async function getSearchToolDistribution({ days = 30, source = null, bucket = "day" } = {}) {
+  const db = await connectToMongo();
+  return db.collection("search_log").aggregate([
+    { $match: searchLogMatch({ days, source }) },
+    { $unwind: { path: "$tools", preserveNullAndEmptyArrays: true } },
+    { $group: {
+      _id:   { period: { $dateTrunc: { date: "$ts", unit: bucket } }, tool: { $ifNull: ["$tools", "none"] } },
+      count: { $sum: 1 },
+    }},
+    { $group: {
+      _id:   "$_id.period",
+      total: { $sum: "$count" },
+      tools: { $push: { k: "$_id.tool", v: "$count" } },
+    }},
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", total: 1, tools: { $arrayToObject: "$tools" } } },
+  ]).toArray();
 }
 
 // ---- Flags ----
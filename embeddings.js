@@ -0,0 +1,165 @@
+// embeddings.js
+// Text embedding providers. EMBEDDING_PROVIDER selects one:
+//
+//   openai  OpenAI text-embedding-3-small at 512 dimensions (default; needs OPENAI_API_KEY)
+//   local   all-MiniLM-L6-v2 run in-process via @huggingface/transformers (384 dimensions)
+//   test    deterministic hashed bag of words, no model and no network (128 dimensions)
+//
+// Each provider has its own Atlas vector index, since an index is built for one
+// dimension count. Entities record the model and dimensions they were embedded
+// with, so switching provider marks every embedding stale for the backfill.
+// No MongoDB or HTTP dependencies.
+
+import { createHash } from "crypto";
+import { createRequire } from "module";
+import OpenAI from "openai";
+import { normalizeSearchText } from "./utils.js";
+
+const LOCAL_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+// ---- OpenAI ----
+
+const openaiProvider = {
+  name:       "openai",
+  model:      "text-embedding-3-small",
+  dimensions: 512,
+  index:      "wikiEmbeddings",
+  configured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+  async embed(texts) {
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const { data } = await openai.embeddings.create({
+      model:      this.model,
+      input:      texts,
+      dimensions: this.dimensions,
+    });
+    return [...data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  },
+};
+
+// ---- Local ----
+
+// The model is loaded once, on first use. @huggingface/transformers is an
+// optional dependency; the provider counts as configured only when it is
+// installed. With EMBEDDING_LOCAL_MODEL_PATH pointing at a downloaded copy of
+// the model nothing is fetched from the network; without it the model is
+// downloaded from the Hugging Face Hub on first use and cached.
+let localPipeline  = null;
+let localInstalled = null;
+
+// Resolved without loading it: importing pulls in the ONNX runtime. A package
+// that resolves but has no CommonJS entry point is still installed.
+function transformersInstalled() {
+  if (localInstalled === null) {
+    try {
+      createRequire(import.meta.url).resolve("@huggingface/transformers");
+      localInstalled = true;
+    } catch (err) {
+      localInstalled = err?.code === "ERR_PACKAGE_PATH_NOT_EXPORTED";
+    }
+  }
+  return localInstalled;
+}
+
+async function loadLocalPipeline() {
+  let transformers;
+  try {
+    transformers = await import("@huggingface/transformers");
+  } catch {
+    throw new Error("The local embedding provider needs @huggingface/transformers (npm install @huggingface/transformers)");
+  }
+  if (process.env.EMBEDDING_LOCAL_MODEL_PATH) {
+    transformers.env.localModelPath    = process.env.EMBEDDING_LOCAL_MODEL_PATH;
+    transformers.env.allowRemoteModels = false;
+  }
+  return transformers.pipeline("feature-extraction", LOCAL_MODEL);
+}
+
+const localProvider = {
+  name:       "local",
+  model:      LOCAL_MODEL,
+  dimensions: 384,
+  index:      "wikiEmbeddings_local",
+  configured() {
+    return transformersInstalled();
+  },
+  async embed(texts) {
+    localPipeline ??= loadLocalPipeline().catch((err) => {
+      localPipeline = null;
+      throw err;
+    });
+    const extract = await localPipeline;
+    const output  = await extract(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  },
+};
+
+// ---- Test ----
+
+// Each normalised word adds ±1 to a bucket picked by its hash, and the result
+// is scaled to unit length. Texts sharing words score as similar, which is
+// enough to exercise ranking, and the same text always gets the same vector.
+function hashedEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of normalizeSearchText(text).split(" ").filter(Boolean)) {
+    const hash = createHash("sha256").update(word).digest();
+    vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.hypot(...vector);
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map((x) => x / norm);
+}
+
+const testProvider = {
+  name:       "test",
+  model:      "hashed-words-v1",
+  dimensions: 128,
+  index:      "wikiEmbeddings_test",
+  configured() {
+    return true;
+  },
+  async embed(texts) {
+    return texts.map((text) => hashedEmbedding(text, this.dimensions));
+  },
+};
+
+// ---- Public API ----
+
+export const EMBEDDING_PROVIDERS = {
+  openai: openaiProvider,
+  local:  localProvider,
+  test:   testProvider,
+};
+
+// The provider named by EMBEDDING_PROVIDER. Read on every call, since env is
+// loaded after imports.
+export function getEmbeddingProvider() {
+  const name     = (process.env.EMBEDDING_PROVIDER || "openai").trim().toLowerCase();
+  const provider = EMBEDDING_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected ${Object.keys(EMBEDDING_PROVIDERS).join(", ")})`);
+  }
+  return provider;
+}
+
+export function embeddingsConfigured() {
+  return getEmbeddingProvider().configured();
+}
+
+export async function embedTexts(texts) {
+  const provider = getEmbeddingProvider();
+  const vectors  = await provider.embed(texts);
+  if (vectors.some((v) => v.length !== provider.dimensions)) {
+    throw new Error(`${provider.name} embedder returned vectors without ${provider.dimensions} dimensions`);
+  }
+  return vectors;
+}
+
+export async function embedText(text) {
+  const [vector] = await embedTexts([text]);
+  return vector;
+}
@@ -0,0 +1,369 @@
+// filters.js
+// A small query language for filtering and sorting entities, compiled to a
+// MongoDB filter. Only whitelisted fields can be referenced and only the
+// operators below are emitted, so user input never reaches Mongo as raw
+// query JSON ($where, $expr, regexes, internal fields).
+//
+//   props.stations >= 100 and been = false
+//   country in ("FR", "DE") and not props.automatic = true
+//   props.opened between 1900 and 1950 or (name contains "line" and props.closed exists)
+//
+// compileJsonFilter does the same for MongoDB-style JSON filters written by a
+// model (POST /search), rebuilding them from the whitelist.
+//
+// Pure functions — no database or HTTP dependencies. Invalid input throws an
+// Error with badFilter: true and a message pointing at the problem.
+
+import { escapeRegex, isPlainObject, editDistance } from "./utils.js";
+import { coercePropValue } from "./schema.js";
+
+// Core entity fields that can be filtered and sorted on, besides props.*.
+export const FILTER_FIELDS = [
+  "name", "key", "reference", "prefix", "link", "icons",
+  "country", "countries", "state", "states", "city", "been", "section",
+];
+
+// The FILTER_FIELDS that hold arrays.
+const ARRAY_FIELDS = ["icons", "countries", "states"];
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH  = 20;
+const MAX_IN     = 100;
+const MAX_SORT   = 4;
+
+const COMPARISONS = { "=": null, "!=": "$ne", ">": "$gt", ">=": "$gte", "<": "$lt", "<=": "$lte" };
+const KEYWORDS    = ["and", "or", "not", "in", "between", "exists", "contains", "true", "false", "null"];
+
+function badFilter(message) {
+  return Object.assign(new Error(message), { badFilter: true });
+}
+
+// ---- Tokenizer ----
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) { i++; continue; }
+
+    const start = i;
+    if (c === '"' || c === "'") {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== c) {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw badFilter(`Unterminated string at position ${start}`);
+      i++;
+      tokens.push({ type: "value", value, pos: start });
+    } else if (/[-\d]/.test(c) && /^-?\d/.test(text.slice(i, i + 2))) {
+      const match = text.slice(i).match(/^-?\d+(\.\d+)?/);
+      i += match[0].length;
+      tokens.push({ type: "value", value: Number(match[0]), pos: start });
+    } else if (/[A-Za-z_]/.test(c)) {
+      const match = text.slice(i).match(/^[A-Za-z_][\w.-]*/);
+      i += match[0].length;
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (lower === "true" || lower === "false") tokens.push({ type: "value", value: lower === "true", pos: start });
+      else if (lower === "null")                 tokens.push({ type: "value", value: null, pos: start });
+      else if (KEYWORDS.includes(lower))         tokens.push({ type: lower, pos: start });
+      else                                       tokens.push({ type: "field", value: word, pos: start });
+    } else {
+      const op = [">=", "<=", "!=", "==", "=", ">", "<"].find((o) => text.startsWith(o, i));
+      if (op) {
+        i += op.length;
+        tokens.push({ type: "op", value: op === "==" ? "=" : op, pos: start });
+      } else if (c === "(" || c === ")" || c === ",") {
+        i++;
+        tokens.push({ type: c, pos: start });
+      } else {
+        throw badFilter(`Unexpected '${c}' at position ${start}`);
+      }
+    }
+  }
+  tokens.push({ type: "end", pos: text.length });
+  return tokens;
+}
+
+// ---- Fields ----
+
+// Resolve a field name against the whitelist and, for props.*, the list's
+// props schema if it has one. Returns the schema field (or null).
+function checkField(name, schema, pos, fields = FILTER_FIELDS) {
+  if (fields.includes(name)) return null;
+
+  const match = name.match(/^props\.([\w-]+)(\.[\w-]+)*$/);
+  if (!match) {
+    throw badFilter(`Unknown field '${name}'${pos != null ? ` at position ${pos}` : ""}. Use props.<name> or one of ${fields.join(", ")}`);
+  }
+  if (!Array.isArray(schema)) return null;
+
+  const field = schema.find((f) => f.name === match[1]);
+  if (!field) throw badFilter(`'${name}' is not in this list's props schema. Known props: ${schema.map((f) => f.name).join(", ")}`);
+  return field;
+}
+
+// ---- Parser ----
+
+// Recursive descent over the token list; each rule returns a Mongo filter.
+function parse(tokens, schema) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const describe = (t) => (t.type === "end" ? "end of filter" : `'${t.value ?? t.type}' at position ${t.pos}`);
+  const expect = (type) => {
+    const t = next();
+    if (t.type !== type) throw badFilter(`Expected ${type === "value" ? "a value" : `'${type}'`} but found ${describe(t)}`);
+    return t;
+  };
+
+  const value = (field) => {
+    const v = expect("value").value;
+    return field ? coercePropValue(field, v) : v;
+  };
+
+  function or(depth) {
+    const parts = [and(depth)];
+    while (peek().type === "or") { next(); parts.push(and(depth)); }
+    return parts.length === 1 ? parts[0] : { $or: parts };
+  }
+
+  function and(depth) {
+    const parts = [unary(depth)];
+    while (peek().type === "and") { next(); parts.push(unary(depth)); }
+    return parts.length === 1 ? parts[0] : { $and: parts };
+  }
+
+  function unary(depth) {
+    if (depth > MAX_DEPTH) throw badFilter(`Filter is nested more than ${MAX_DEPTH} levels deep`);
+    const t = peek();
+    if (t.type === "not") { next(); return { $nor: [unary(depth + 1)] }; }
+    if (t.type === "(") {
+      next();
+      const inner = or(depth + 1);
+      expect(")");
+      return inner;
+    }
+    return condition();
+  }
+
+  function condition() {
+    const f     = expect("field");
+    const field = checkField(f.value, schema, f.pos);
+    const path  = f.value;
+    const t     = next();
+
+    switch (t.type) {
+      case "op": {
+        const v  = value(field);
+        const op = COMPARISONS[t.value];
+        if (op && op !== "$ne" && (v === null || typeof v === "boolean")) {
+          throw badFilter(`'${t.value}' needs a number or string at position ${t.pos}`);
+        }
+        return { [path]: op ? { [op]: v } : v };
+      }
+      case "in": {
+        expect("(");
+        const values = [value(field)];
+        while (peek().type === ",") { next(); values.push(value(field)); }
+        expect(")");
+        if (values.length > MAX_IN) throw badFilter(`'in' takes at most ${MAX_IN} values`);
+        return { [path]: { $in: values } };
+      }
+      case "between": {
+        const low = value(field);
+        expect("and");
+        const high = value(field);
+        return { [path]: { $gte: low, $lte: high } };
+      }
+      case "exists":
+        return { [path]: { $exists: true, $ne: null } };
+      case "contains": {
+        const v = expect("value").value;
+        if (typeof v !== "string" || !v) throw badFilter(`'contains' needs a non-empty string at position ${t.pos}`);
+        return { [path]: { $regex: escapeRegex(v), $options: "i" } };
+      }
+      default:
+        throw badFilter(`Expected an operator after '${path}' but found ${describe(t)}`);
+    }
+  }
+
+  const result = or(0);
+  if (peek().type !== "end") throw badFilter(`Unexpected ${describe(peek())}`);
+  return result;
+}
+
+// ---- Public API ----
+
+// Compile a filter expression to a MongoDB filter. An empty expression
+// matches everything. Pass the list's propsSchema to reject unknown props and
+// coerce values to their declared types.
+export function compileFilter(text, { schema = null } = {}) {
+  const source = String(text ?? "").trim();
+  if (!source) return {};
+  if (source.length > MAX_LENGTH) throw badFilter(`Filter is longer than ${MAX_LENGTH} characters`);
+  return parse(tokenize(source), schema);
+}
+
+// Parse "props.stations:desc,name" into a Mongo sort object. Direction is
+// asc (default) or desc.
+export function compileSort(text, { schema = null } = {}) {
+  const source = String(text ?? "").trim();
+  if (!source) return null;
+
+  const parts = source.split(",").map((p) => p.trim()).filter(Boolean);
+  if (parts.length > MAX_SORT) throw badFilter(`Sort by at most ${MAX_SORT} fields`);
+
+  const sort = {};
+  for (const part of parts) {
+    const [name, dir = "asc", extra] = part.split(":").map((s) => s.trim());
+    if (extra !== undefined || !["asc", "desc"].includes(dir.toLowerCase())) {
+      throw badFilter(`Bad sort '${part}': use field or field:asc / field:desc`);
+    }
+    const field = checkField(name, schema);
+    // Arrays sort by their smallest element, which cursors can't page through.
+    if (ARRAY_FIELDS.includes(name) || field?.type === "array") throw badFilter(`Can't sort by '${name}': it holds arrays`);
+    sort[name] = dir.toLowerCase() === "desc" ? -1 : 1;
+  }
+  return sort;
+}
+
+// ---- JSON filters ----
+
+// Fields a JSON filter may use: the DSL fields plus list, and props.*.
+export const JSON_FILTER_FIELDS = ["list", ...FILTER_FIELDS];
+
+const JSON_COMPARISONS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte"];
+const JSON_OPERATORS   = [...JSON_COMPARISONS, "$in", "$nin", "$exists", "$regex", "$options"];
+const JSON_LOGICAL     = ["$and", "$or", "$nor"];
+const MAX_REGEX        = 100;
+
+// Closest list key to a misspelled one, for error messages.
+function suggestList(key, lists) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of lists) {
+    const d = editDistance(String(key).toLowerCase(), candidate, bestDistance - 1);
+    if (d < bestDistance) { best = candidate; bestDistance = d; }
+  }
+  return best;
+}
+
+function jsonValue(path, value, ctx) {
+  if (value !== null && typeof value === "object") {
+    throw badFilter(`Value for '${path}' must be a string, number, boolean or null`);
+  }
+  if (path === "list") {
+    if (ctx.lists && !ctx.lists.has(value)) {
+      const hint = suggestList(value, ctx.lists);
+      throw badFilter(`Unknown list '${value}'${hint ? `. Did you mean '${hint}'?` : ". Use a list key exactly as given"}`);
+    }
+    return value;
+  }
+  if (path === "country" || path === "countries") {
+    const code = String(value ?? "").toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) throw badFilter(`'${path}' takes 2-letter ISO country codes, not '${value}'`);
+    return code;
+  }
+  if (path === "been") {
+    if (value === "true" || value === "false") return value === "true";
+    if (typeof value !== "boolean") throw badFilter(`'been' must be true or false`);
+    return value;
+  }
+  return ctx.field ? coercePropValue(ctx.field, value) : value;
+}
+
+function jsonValues(path, values, ctx) {
+  if (!Array.isArray(values) || values.length === 0) throw badFilter(`'${path}' needs a non-empty array of values`);
+  if (values.length > MAX_IN) throw badFilter(`'${path}' takes at most ${MAX_IN} values`);
+  return values.map((v) => jsonValue(path, v, ctx));
+}
+
+function jsonCondition(path, spec, ctx) {
+  if (Array.isArray(spec)) return { $in: jsonValues(path, spec, ctx) };
+  if (!isPlainObject(spec)) return jsonValue(path, spec, ctx);
+
+  const ops = Object.keys(spec);
+  if (ops.length === 0) throw badFilter(`Empty condition for '${path}'`);
+  const unknown = ops.find((op) => !JSON_OPERATORS.includes(op));
+  if (unknown) {
+    throw badFilter(unknown.startsWith("$")
+      ? `Operator '${unknown}' isn't allowed on '${path}'. Use ${JSON_OPERATORS.filter((o) => o !== "$options").join(", ")}`
+      : `'${path}' can't hold a nested object; use dotted paths like props.${unknown}`);
+  }
+
+  const out = {};
+  for (const op of ops) {
+    const value = spec[op];
+    if (JSON_COMPARISONS.includes(op)) {
+      out[op] = jsonValue(path, value, ctx);
+      if (op !== "$eq" && op !== "$ne" && typeof out[op] !== "number" && typeof out[op] !== "string") {
+        throw badFilter(`'${op}' on '${path}' needs a number or string`);
+      }
+    } else if (op === "$in" || op === "$nin") {
+      out[op] = jsonValues(path, value, ctx);
+    } else if (op === "$exists") {
+      if (typeof value !== "boolean") throw badFilter(`'$exists' on '${path}' must be true or false`);
+      out.$exists = value;
+    } else if (op === "$regex") {
+      if (typeof value !== "string" || !value || value.length > MAX_REGEX) {
+        throw badFilter(`'$regex' on '${path}' must be a non-empty string of at most ${MAX_REGEX} characters`);
+      }
+      // Matched as literal text, like the DSL's contains: a model-written
+      // pattern could backtrack catastrophically.
+      out.$regex = escapeRegex(value);
+    } else if (op === "$options") {
+      if (!("$regex" in spec)) throw badFilter(`'$options' on '${path}' needs '$regex'`);
+      if (value !== "" && value !== "i") throw badFilter(`'$options' on '${path}' may only be "i"`);
+      out.$options = value;
+    }
+  }
+  return out;
+}
+
+function jsonNode(node, ctx, depth) {
+  if (depth > MAX_DEPTH) throw badFilter(`Filter is nested more than ${MAX_DEPTH} levels deep`);
+  if (!isPlainObject(node)) throw badFilter("Filter must be an object like { \"list\": \"canals\", \"country\": \"BE\" }");
+
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (JSON_LOGICAL.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) throw badFilter(`'${key}' needs a non-empty array of filters`);
+      if (value.length > MAX_IN) throw badFilter(`'${key}' takes at most ${MAX_IN} filters`);
+      out[key] = value.map((child) => jsonNode(child, ctx, depth + 1));
+    } else if (key.startsWith("$")) {
+      throw badFilter(`Operator '${key}' isn't allowed. Combine conditions with ${JSON_LOGICAL.join(", ")}`);
+    } else {
+      const field = checkField(key, ctx.schema, null, JSON_FILTER_FIELDS);
+      out[key] = jsonCondition(key, value, { ...ctx, field });
+    }
+  }
+  return out;
+}
+
+// The single list a JSON filter is restricted to at its top level, if any, so
+// the caller can look up that list's props schema before compiling.
+export function jsonFilterList(filter) {
+  if (!isPlainObject(filter)) return null;
+  const list = isPlainObject(filter.list) ? filter.list.$eq : filter.list;
+  return typeof list === "string" ? list : null;
+}
+
+// Rebuild a MongoDB-style JSON filter from the whitelist. `lists` (a Set of
+// page keys) rejects unknown list keys, suggesting the nearest; `schema` is the
+// propsSchema of the list from jsonFilterList, if it has one. Country codes
+// are uppercased, "true"/"false" become booleans for been, and an array value
+// means any of its values.
+export function compileJsonFilter(filter, { lists = null, schema = null } = {}) {
+  if (JSON.stringify(filter ?? null).length > MAX_LENGTH) throw badFilter(`Filter is longer than ${MAX_LENGTH} characters`);
+  return jsonNode(filter, { lists, schema }, 0);
+}
+
+// Validate a sortBy field name for getEntitiesByFilter.
+export function checkSortField(name, { schema = null } = {}) {
+  checkField(name, schema, null, JSON_FILTER_FIELDS);
+  return name;
+}
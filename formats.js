@@ -0,0 +1,247 @@
+// formats.js
+// Parsing of bulk entity files (NDJSON, CSV) for import, and serialising a
+// page's entities to CSV, GeoJSON, KML and GPX for export.
+// Pure functions — no database or HTTP dependencies.
+// Malformed input throws an Error with badFormat: true and a message that
+// names the offending line.
+
+function badFormat(message) {
+  return Object.assign(new Error(message), { badFormat: true });
+}
+
+// ---- NDJSON ----
+
+// One JSON object per line; blank lines are ignored.
+export function parseNdjson(text) {
+  const rows = [];
+  const lines = String(text ?? "").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (err) {
+      throw badFormat(`Line ${i + 1}: ${err.message}`);
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw badFormat(`Line ${i + 1}: expected a JSON object`);
+    }
+    rows.push(value);
+  });
+  return rows;
+}
+
+// ---- CSV ----
+
+// RFC 4180: comma-separated, double-quoted fields may contain commas, quotes
+// ("" escapes a quote) and newlines. The first record is the header.
+// Returns one object per record, keyed by header, with string values.
+export function parseCsv(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field  = "";
+  let quoted = false;
+  let line   = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === "\n") line++;
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      records.push(record); record = [];
+      line++;
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw badFormat(`Line ${line}: unterminated quoted field`);
+  if (field !== "" || record.length) { record.push(field); records.push(record); }
+
+  const nonEmpty = records.filter(r => r.some(f => f.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  if (header.some(h => !h)) throw badFormat("Header row has an empty column name");
+
+  return nonEmpty.slice(1).map((r, i) => {
+    if (r.length > header.length) throw badFormat(`Record ${i + 1}: ${r.length} fields but header has ${header.length}`);
+    return Object.fromEntries(header.map((h, j) => [h, r[j] ?? ""]));
+  });
+}
+
+// ---- Export ----
+
+// Core columns, in order, ahead of the flattened props.<name> columns.
+// Round-trips through parseCsv + the import endpoint.
+const CSV_COLUMNS = [
+  "key", "name", "prefix", "reference", "country", "countries", "state", "states",
+  "city", "been", "section", "icons", "link", "lat", "lon", "notes",
+];
+
+const BEEN_COLOR     = "#2e7d32";
+const NOT_BEEN_COLOR = "#9e9e9e";
+
+// [lon, lat] from the GeoJSON location, falling back to the "lat, lon"
+// coords string or { lat, lon } object; null when the entity has no position.
+export function entityLonLat(entity) {
+  const coordinates = entity?.location?.coordinates;
+  if (Array.isArray(coordinates) && coordinates.length >= 2 && coordinates.every(Number.isFinite)) {
+    return [coordinates[0], coordinates[1]];
+  }
+  const coords = entity?.coords;
+  if (typeof coords === "string") {
+    const [lat, lon] = coords.split(",").map((s) => parseFloat(s.trim()));
+    if (Number.isFinite(lat) && Number.isFinite(lon)) return [lon, lat];
+  } else if (coords && Number.isFinite(coords.lat) && Number.isFinite(coords.lon)) {
+    return [coords.lon, coords.lat];
+  }
+  return null;
+}
+
+// Arrays are joined with "; " — or, when an item contains ";" or "|" (a note
+// with a semicolon), written as a JSON array so the import splits it back
+// the same way.
+function csvCell(value) {
+  if (value == null) return "";
+  const items = Array.isArray(value) ? value.map((v) => (typeof v === "object" ? JSON.stringify(v) : String(v))) : null;
+  const text  = items
+    ? (items.some((v) => /[;|]/.test(v)) ? JSON.stringify(items) : items.join("; "))
+    : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entities) {
+  const propNames = [...new Set(entities.flatMap((e) => Object.keys(e.props || {})))].sort();
+  const header    = [...CSV_COLUMNS, ...propNames.map((p) => `props.${p}`)];
+
+  const lines = [header.map(csvCell).join(",")];
+  for (const entity of entities) {
+    const lonLat = entityLonLat(entity);
+    const row = CSV_COLUMNS.map((column) => {
+      if (column === "lat") return lonLat?.[1];
+      if (column === "lon") return lonLat?.[0];
+      return entity[column];
+    });
+    for (const p of propNames) row.push(entity.props?.[p]);
+    lines.push(row.map(csvCell).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function displayName(entity) {
+  return entity.prefix != null ? `${entity.prefix} ${entity.name}` : String(entity.name ?? entity.key);
+}
+
+// GeoJSON FeatureCollection with simplestyle-spec marker colours.
+// Entities without a position are left out.
+export function toGeoJson(page, entities) {
+  const features = [];
+  for (const entity of entities) {
+    const lonLat = entityLonLat(entity);
+    if (!lonLat) continue;
+    const { location: _location, coords: _coords, ...properties } = entity;
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: lonLat },
+      properties: {
+        ...properties,
+        title:          displayName(entity),
+        "marker-color": entity.been ? BEEN_COLOR : NOT_BEEN_COLOR,
+        "marker-symbol": entity.been ? "star" : "circle",
+      },
+    });
+  }
+  return { type: "FeatureCollection", name: page.name ?? page.key, features };
+}
+
+function xml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// KML colours are aabbggrr.
+function kmlColor(hex) {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+  return `ff${b}${g}${r}`;
+}
+
+function kmlDescription(entity) {
+  const parts = [];
+  if (entity.city)  parts.push(entity.city);
+  if (entity.link)  parts.push(entity.link);
+  if (Array.isArray(entity.notes)) parts.push(...entity.notes);
+  return parts.join("\n");
+}
+
+export function toKml(page, entities) {
+  const placemarks = [];
+  for (const entity of entities) {
+    const lonLat = entityLonLat(entity);
+    if (!lonLat) continue;
+    placemarks.push(
+      `    <Placemark>\n` +
+      `      <name>${xml(displayName(entity))}</name>\n` +
+      (kmlDescription(entity) ? `      <description>${xml(kmlDescription(entity))}</description>\n` : "") +
+      `      <styleUrl>#${entity.been ? "been" : "not-been"}</styleUrl>\n` +
+      `      <Point><coordinates>${lonLat[0]},${lonLat[1]}</coordinates></Point>\n` +
+      `    </Placemark>`
+    );
+  }
+
+  const style = (id, color) =>
+    `    <Style id="${id}"><IconStyle><color>${kmlColor(color)}</color></IconStyle></Style>`;
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `  <Document>`,
+    `    <name>${xml(page.name ?? page.key)}</name>`,
+    style("been", BEEN_COLOR),
+    style("not-been", NOT_BEEN_COLOR),
+    ...placemarks,
+    `  </Document>`,
+    `</kml>`,
+    ``,
+  ].join("\n");
+}
+
+// GPX 1.1 waypoints; `been` is carried in <type> and the Garmin-style <sym>.
+export function toGpx(page, entities) {
+  const waypoints = [];
+  for (const entity of entities) {
+    const lonLat = entityLonLat(entity);
+    if (!lonLat) continue;
+    const lines = [`  <wpt lat="${lonLat[1]}" lon="${lonLat[0]}">`, `    <name>${xml(displayName(entity))}</name>`];
+    if (entity.city) lines.push(`    <desc>${xml(entity.city)}</desc>`);
+    if (entity.link) lines.push(`    <link href="${xml(entity.link)}"/>`);
+    lines.push(`    <sym>${entity.been ? "Flag, Green" : "Flag, Red"}</sym>`);
+    lines.push(`    <type>${entity.been ? "been" : "not-been"}</type>`);
+    lines.push(`  </wpt>`);
+    waypoints.push(lines.join("\n"));
+  }
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="andrewzc" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${xml(page.name ?? page.key)}</name></metadata>`,
+    ...waypoints,
+    `</gpx>`,
+    ``,
+  ].join("\n");
+}
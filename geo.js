@@ -0,0 +1,437 @@
+// geo.js
+// Geometry helpers for the geo endpoints: bounding boxes and GeoJSON area
+// checks for /entities/within, routes (LineStrings and encoded polylines)
+// for /entities/along-route, bearings for /entities/nearest, visit-order
+// planning for /entities/route-plan, and point-in-polygon tests for offline
+// reverse geocoding (reverse.js). Distances are great-circle, in km.
+// Coordinates are [lon, lat] in degrees, as in GeoJSON and `location`.
+// Pure functions — no database or HTTP dependencies.
+
+import { isPlainObject } from "./utils.js";
+
+const MAX_POSITIONS = 10000;
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Longitude step when densifying box edges. MongoDB treats polygon edges as
+// great-circle arcs, so a box's top and bottom edges are split into short
+// segments that stay close to their line of latitude.
+const BOX_EDGE_STEP = 1;
+
+// Boxes wider than this are split, keeping every part well inside a hemisphere.
+const BOX_MAX_WIDTH = 90;
+
+// Box edges stop just short of the poles, where every longitude is the same point.
+const BOX_MAX_LAT = 89.9999;
+
+// ---- Bounding boxes ----
+
+// "minLon,minLat,maxLon,maxLat". A box whose minLon is greater than its maxLon
+// crosses the antimeridian. Returns { bbox: [minLon, minLat, maxLon, maxLat] }
+// or { message } when invalid.
+export function parseBbox(text) {
+  const parts = String(text ?? "").split(",").map((p) => p.trim());
+  if (parts.length !== 4 || parts.some((p) => p === "")) {
+    return { message: "bbox must be minLon,minLat,maxLon,maxLat" };
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts.map(Number);
+  if ([minLon, minLat, maxLon, maxLat].some((n) => !Number.isFinite(n))) {
+    return { message: "bbox values must be numbers" };
+  }
+  if ([minLon, maxLon].some((lon) => lon < -180 || lon > 180)) {
+    return { message: "bbox longitudes must be between -180 and 180" };
+  }
+  if ([minLat, maxLat].some((lat) => lat < -90 || lat > 90)) {
+    return { message: "bbox latitudes must be between -90 and 90" };
+  }
+  if (minLat >= maxLat) return { message: "bbox minLat must be less than maxLat" };
+  if (minLon === maxLon) return { message: "bbox minLon and maxLon must differ" };
+  return { bbox: [minLon, minLat, maxLon, maxLat] };
+}
+
+function boxRing(west, south, east, north) {
+  const steps = Math.max(1, Math.ceil((east - west) / BOX_EDGE_STEP));
+  const lons  = Array.from({ length: steps + 1 }, (_, i) => west + ((east - west) * i) / steps);
+  return [
+    ...lons.map((lon) => [lon, south]),
+    ...lons.slice().reverse().map((lon) => [lon, north]),
+    [west, south],
+  ];
+}
+
+// The box as a GeoJSON Polygon, or a MultiPolygon when it is wide or crosses
+// the antimeridian.
+export function bboxToGeometry([minLon, minLat, maxLon, maxLat]) {
+  const south = Math.max(minLat, -BOX_MAX_LAT);
+  const north = Math.min(maxLat, BOX_MAX_LAT);
+  const spans = minLon < maxLon ? [[minLon, maxLon]] : [[minLon, 180], [-180, maxLon]];
+  const rings = [];
+  for (const [west, east] of spans) {
+    const parts = Math.ceil((east - west) / BOX_MAX_WIDTH);
+    for (let i = 0; i < parts; i++) {
+      const w = west + ((east - west) * i) / parts;
+      const e = west + ((east - west) * (i + 1)) / parts;
+      rings.push(boxRing(w, south, e, north));
+    }
+  }
+  return rings.length === 1
+    ? { type: "Polygon", coordinates: [rings[0]] }
+    : { type: "MultiPolygon", coordinates: rings.map((ring) => [ring]) };
+}
+
+// ---- GeoJSON areas ----
+
+function isPosition(p) {
+  return Array.isArray(p) && p.length >= 2
+    && Number.isFinite(p[0]) && Number.isFinite(p[1])
+    && p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+}
+
+function ringError(ring, at) {
+  if (!Array.isArray(ring) || ring.length < 4) return `${at} must have at least 4 positions`;
+  const bad = ring.findIndex((p) => !isPosition(p));
+  if (bad !== -1) return `${at}[${bad}] must be a [lon, lat] position`;
+  const first = ring[0];
+  const last  = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return `${at} must be closed (first and last positions equal)`;
+  return null;
+}
+
+function polygonError(rings, at) {
+  if (!Array.isArray(rings) || rings.length === 0) return `${at} must be an array of linear rings`;
+  for (const [i, ring] of rings.entries()) {
+    const error = ringError(ring, `${at}[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Structural check of a GeoJSON Polygon or MultiPolygon (MongoDB still
+// rejects self-intersecting rings). Returns an error message, or null.
+export function checkAreaGeometry(geometry) {
+  if (!isPlainObject(geometry)) return "geometry must be a GeoJSON object";
+  const { type, coordinates } = geometry;
+  if (type !== "Polygon" && type !== "MultiPolygon") return "geometry type must be Polygon or MultiPolygon";
+
+  const polygons = type === "Polygon" ? [coordinates] : coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) return "coordinates must be a non-empty array";
+
+  let positions = 0;
+  for (const [i, rings] of polygons.entries()) {
+    const error = polygonError(rings, type === "Polygon" ? "coordinates" : `coordinates[${i}]`);
+    if (error) return error;
+    positions += rings.reduce((n, ring) => n + ring.length, 0);
+  }
+  if (positions > MAX_POSITIONS) return `geometry has more than ${MAX_POSITIONS} positions`;
+  return null;
+}
+
+// ---- Great-circle distance ----
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Angular distance in radians between two [lon, lat] positions (haversine).
+function angularDistance([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function distanceKm(a, b) {
+  return angularDistance(a, b) * EARTH_RADIUS_KM;
+}
+
+// For $centerSphere, whose radius is an angle.
+export function kmToRadians(km) {
+  return km / EARTH_RADIUS_KM;
+}
+
+// Initial bearing from a to b in radians.
+function bearingRad([lon1, lat1], [lon2, lat2]) {
+  const lat1r = toRad(lat1);
+  const lat2r = toRad(lat2);
+  const dLon  = toRad(lon2 - lon1);
+  return Math.atan2(
+    Math.sin(dLon) * Math.cos(lat2r),
+    Math.cos(lat1r) * Math.sin(lat2r) - Math.sin(lat1r) * Math.cos(lat2r) * Math.cos(dLon)
+  );
+}
+
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Initial compass bearing from a to b: degrees clockwise from north (0–360,
+// one decimal) and the nearest of the eight compass points.
+// Returns { bearing, direction }.
+export function compassBearing(a, b) {
+  const degrees = (toDeg(bearingRad(a, b)) + 360) % 360;
+  return {
+    bearing:   Math.round(degrees * 10) / 10 % 360,
+    direction: COMPASS_POINTS[Math.round(degrees / 45) % 8],
+  };
+}
+
+// The position `fraction` of the way from a to b along the great circle.
+function interpolate(a, b, fraction) {
+  const d = angularDistance(a, b);
+  if (d === 0) return a;
+  const [lon1, lat1] = [toRad(a[0]), toRad(a[1])];
+  const [lon2, lat2] = [toRad(b[0]), toRad(b[1])];
+  const wa = Math.sin((1 - fraction) * d) / Math.sin(d);
+  const wb = Math.sin(fraction * d) / Math.sin(d);
+  const x  = wa * Math.cos(lat1) * Math.cos(lon1) + wb * Math.cos(lat2) * Math.cos(lon2);
+  const y  = wa * Math.cos(lat1) * Math.sin(lon1) + wb * Math.cos(lat2) * Math.sin(lon2);
+  const z  = wa * Math.sin(lat1) + wb * Math.sin(lat2);
+  return [toDeg(Math.atan2(y, x)), toDeg(Math.atan2(z, Math.hypot(x, y)))];
+}
+
+// ---- Routes ----
+
+// Decode a Google encoded polyline (precision 5, or 6 as used by OSRM and
+// Valhalla) into [lon, lat] positions. Returns null when malformed.
+export function decodePolyline(text, precision = 5) {
+  const str    = String(text ?? "");
+  const factor = 10 ** precision;
+  const coords = [];
+  let index = 0;
+  let lat   = 0;
+  let lon   = 0;
+
+  const next = () => {
+    let result = 0;
+    let shift  = 0;
+    let byte;
+    do {
+      if (index >= str.length) return null;
+      byte = str.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) return null;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && shift < 35);
+    if (byte >= 0x20) return null;
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < str.length) {
+    const dLat = next();
+    const dLon = next();
+    if (dLat === null || dLon === null) return null;
+    lat += dLat;
+    lon += dLon;
+    coords.push([lon / factor, lat / factor]);
+  }
+  return coords;
+}
+
+// Structural check of a GeoJSON LineString. Returns an error message, or null.
+export function checkLineString(geometry) {
+  if (!isPlainObject(geometry)) return "route must be a GeoJSON LineString";
+  if (geometry.type !== "LineString") return "route type must be LineString";
+  const { coordinates } = geometry;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return "route must have at least 2 positions";
+  if (coordinates.length > MAX_POSITIONS) return `route has more than ${MAX_POSITIONS} positions`;
+  const bad = coordinates.findIndex((p) => !isPosition(p));
+  if (bad !== -1) return `coordinates[${bad}] must be a [lon, lat] position`;
+  return null;
+}
+
+// Precompute a route's segments and the distance along it to each vertex.
+// Repeated positions are dropped. Returns { positions, lengthKm, segments }.
+export function prepareRoute(coordinates) {
+  const positions = coordinates
+    .map(([lon, lat]) => [lon, lat])
+    .filter((p, i, all) => i === 0 || p[0] !== all[i - 1][0] || p[1] !== all[i - 1][1]);
+
+  const segments = [];
+  let startKm = 0;
+  for (let i = 1; i < positions.length; i++) {
+    const a      = positions[i - 1];
+    const b      = positions[i];
+    const length = angularDistance(a, b);
+    segments.push({ a, b, length, bearing: bearingRad(a, b), startKm });
+    startKm += length * EARTH_RADIUS_KM;
+  }
+  return { positions, lengthKm: startKm, segments };
+}
+
+// Points evenly spaced along the route, no more than `spacingKm` apart
+// measured along it, from its start to its end: ceil(lengthKm / spacingKm) + 1
+// points however many vertices the route has.
+export function sampleRoute(route, spacingKm) {
+  if (route.segments.length === 0) return route.positions.slice(0, 1);
+  const count  = Math.max(1, Math.ceil(route.lengthKm / spacingKm));
+  const step   = route.lengthKm / count;
+  const points = [route.segments[0].a];
+  let s = 0;
+  for (let i = 1; i < count; i++) {
+    const targetKm = i * step;
+    while (s < route.segments.length - 1 && route.segments[s + 1].startKm <= targetKm) s++;
+    const { a, b, length, startKm } = route.segments[s];
+    points.push(interpolate(a, b, Math.min(1, (targetKm - startKm) / (length * EARTH_RADIUS_KM))));
+  }
+  points.push(route.segments[route.segments.length - 1].b);
+  return points;
+}
+
+// Where a point sits relative to the route: its distance from the nearest
+// point on the route and how far along the route that nearest point is.
+// Returns { distanceKm, alongKm }.
+export function locateOnRoute(route, point) {
+  if (route.segments.length === 0) {
+    return { distanceKm: distanceKm(route.positions[0], point), alongKm: 0 };
+  }
+  let best = null;
+  for (const { a, b, length, bearing, startKm } of route.segments) {
+    const fromA = angularDistance(a, point);
+    const angle = bearingRad(a, point) - bearing;
+    // Cross-track and along-track distance relative to the segment's great circle.
+    const cross = Math.asin(Math.max(-1, Math.min(1, Math.sin(fromA) * Math.sin(angle))));
+    const along = Math.acos(Math.max(-1, Math.min(1, Math.cos(fromA) / Math.cos(cross))))
+      * (Math.cos(angle) < 0 ? -1 : 1);
+
+    const nearest = along <= 0      ? { distance: fromA, along: 0 }
+                  : along >= length ? { distance: angularDistance(b, point), along: length }
+                  :                   { distance: Math.abs(cross), along };
+    if (!best || nearest.distance < best.distance) {
+      best = { distance: nearest.distance, alongKm: startKm + nearest.along * EARTH_RADIUS_KM };
+    }
+  }
+  return { distanceKm: best.distance * EARTH_RADIUS_KM, alongKm: best.alongKm };
+}
+
+// ---- Visit order ----
+
+// A good order for visiting `points` ([lon, lat] each), optionally starting
+// from `start` and finishing at `end`: nearest neighbour, then 2-opt until no
+// reversal shortens the path. Without a start, nearest neighbour is tried from
+// every point and the shortest result kept. Returns the indexes of `points`
+// in visiting order.
+export function planVisitOrder(points, { start = null, end = null } = {}) {
+  const n = points.length;
+  if (n <= 1) return points.map((_, i) => i);
+
+  // Nodes: the points, then start and end when given.
+  const nodes    = [...points, ...(start ? [start] : []), ...(end ? [end] : [])];
+  const startIdx = start ? n : null;
+  const endIdx   = end ? nodes.length - 1 : null;
+  const dist     = nodes.map((a) => nodes.map((b) => distanceKm(a, b)));
+
+  const pathKm = (order) => {
+    const path = [...(start ? [startIdx] : []), ...order, ...(end ? [endIdx] : [])];
+    let km = 0;
+    for (let i = 1; i < path.length; i++) km += dist[path[i - 1]][path[i]];
+    return km;
+  };
+
+  const nearestNeighbour = (first) => {
+    const order     = first == null ? [] : [first];
+    const remaining = new Set(points.keys());
+    if (first != null) remaining.delete(first);
+    let current = first ?? startIdx;
+    while (remaining.size) {
+      let next = null;
+      for (const i of remaining) if (next === null || dist[current][i] < dist[current][next]) next = i;
+      order.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+    return order;
+  };
+
+  const candidates = start ? [nearestNeighbour(null)] : points.map((_, i) => nearestNeighbour(i));
+  let order = candidates.reduce((best, o) => (pathKm(o) < pathKm(best) ? o : best));
+
+  // 2-opt over the full path; the fixed start and end never move, and a
+  // missing one leaves that end of the path free.
+  let improved = true;
+  while (improved) {
+    improved = false;
+    const path  = [...(start ? [startIdx] : []), ...order, ...(end ? [endIdx] : [])];
+    const first = start ? 1 : 0;
+    const last  = end ? path.length - 2 : path.length - 1;
+    const edge  = (a, b) => (a < 0 || b >= path.length ? 0 : dist[path[a]][path[b]]);
+    for (let i = first; i < last && !improved; i++) {
+      for (let k = i + 1; k <= last && !improved; k++) {
+        const delta = edge(i - 1, k) + edge(i, k + 1) - edge(i - 1, i) - edge(k, k + 1);
+        if (delta < -1e-9) {
+          const reversed = [...path.slice(0, i), ...path.slice(i, k + 1).reverse(), ...path.slice(k + 1)];
+          order    = reversed.slice(first, end ? -1 : undefined);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// ---- Point in area ----
+// For boundary datasets: `polygons` are MultiPolygon coordinates (polygons of
+// rings, the first ring outer and the rest holes). Lon/lat are treated as
+// planar, which is how boundary datasets are drawn, so polygons must already
+// be split at the antimeridian.
+
+// [minLon, minLat, maxLon, maxLat] of MultiPolygon coordinates.
+export function bboxOf(polygons) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      bbox[0] = Math.min(bbox[0], lon);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+  return bbox;
+}
+
+// Whether [lon, lat] is inside the bbox grown by marginKm on every side.
+export function inBbox([lon, lat], [minLon, minLat, maxLon, maxLat], marginKm = 0) {
+  const dLat = marginKm / 111.2;
+  const dLon = dLat / Math.max(Math.cos(toRad(Math.min(Math.abs(lat) + dLat, 89.9))), 1e-6);
+  return lat >= minLat - dLat && lat <= maxLat + dLat && lon >= minLon - dLon && lon <= maxLon + dLon;
+}
+
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function pointInPolygons(point, polygons) {
+  return polygons.some(([outer, ...holes]) => inRing(point, outer) && !holes.some((hole) => inRing(point, hole)));
+}
+
+// Distance in km from [lon, lat] to the nearest edge of the polygons, using a
+// flat projection centred on the point — accurate for the few km near a border
+// that it is used for.
+export function distanceToPolygonsKm([lon, lat], polygons) {
+  const kx = 111.32 * Math.cos(toRad(lat));
+  const ky = 110.57;
+  const project = ([x, y]) => {
+    let dx = x - lon;
+    if (dx > 180) dx -= 360;
+    if (dx < -180) dx += 360;
+    return [dx * kx, (y - lat) * ky];
+  };
+
+  let best = Infinity;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      let [ax, ay] = project(ring[0]);
+      for (let i = 1; i < ring.length; i++) {
+        const [bx, by] = project(ring[i]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const t  = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+        best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+        [ax, ay] = [bx, by];
+      }
+    }
+  }
+  return best;
+}
@@ -0,0 +1,228 @@
+// importer.js
+// Bulk entity import for POST /entities/:list/import.
+// Rows are normalised, keyed exactly like createEntity, run through the
+// hygiene rules, and only then written — so a dry run reports precisely what
+// a real import would do.
+
+import { connectToMongo, deriveEntityKey, propsSchemaErrors, recordEntityRevision, applyEntityUpdate, queueEmbeddings } from "./database.js";
+import { evaluate } from "./agents/runner.js";
+import { RULES } from "./agents/hygieneRules.js";
+import { searchKeysFor } from "./utils.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Rules whose fix() calls an external service (Wikipedia lookups) are left to
+// the hygiene agent, which picks the new entities up from the change stream.
+const IMPORT_RULES = RULES.filter((r) => !r.remote);
+
+const RESERVED_FIELDS = ["_id", "list", "key", "version", "createdAt", "updatedAt", "wikiEmbedding", "embedding", "searchKey"];
+
+// CSV cells holding several values, separated by ";" or "|", or written as a
+// JSON array when a value contains a separator (see csvCell in formats.js).
+const CSV_LIST_COLUMNS = ["countries", "states", "icons", "notes", "images"];
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+// ---- Row normalisation ----
+
+// A props cell, typed by its field in the props schema. Without a schema
+// entry, numerals become numbers only when they read back the same, so codes
+// like "007" keep their leading zeros. "true" and "false" are booleans unless
+// the schema says string.
+function csvScalar(value, type) {
+  const numeral = /^-?\d+(\.\d+)?$/.test(value);
+  if ((type === "number" || type === "integer") && numeral) return Number(value);
+  if (type == null && numeral && String(Number(value)) === value) return Number(value);
+  if (type !== "string" && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+function csvList(value) {
+  if (value.startsWith("[")) {
+    try {
+      const items = JSON.parse(value);
+      if (Array.isArray(items)) return items.map((v) => String(v).trim()).filter(Boolean);
+    } catch {
+      // Not JSON: a plain list that happens to start with "[".
+    }
+  }
+  return value.split(/[;|]/).map((v) => v.trim()).filter(Boolean);
+}
+
+// CSV rows arrive as flat string maps. Empty cells are dropped, `props.x`
+// columns nest under props (typed by `propsSchema` when the page has one),
+// list columns split, `been` becomes a boolean and `lat` + `lon` become
+// coords and a GeoJSON location.
+export function csvRowToPayload(row, propsSchema = null) {
+  const propTypes = new Map((Array.isArray(propsSchema) ? propsSchema : []).map((f) => [f.name, f.type]));
+  const payload = {};
+  for (const [column, raw] of Object.entries(row)) {
+    const value = String(raw ?? "").trim();
+    if (value === "") continue;
+
+    if (column.startsWith("props.")) {
+      payload.props = payload.props || {};
+      const name = column.slice("props.".length);
+      payload.props[name] = csvScalar(value, propTypes.get(name));
+    } else if (CSV_LIST_COLUMNS.includes(column)) {
+      payload[column] = csvList(value);
+    } else if (column === "been") {
+      payload.been = ["true", "yes", "y", "1", "x"].includes(value.toLowerCase());
+    } else if (column !== "lat" && column !== "lon") {
+      payload[column] = value;
+    }
+  }
+
+  const lat = parseFloat(row.lat);
+  const lon = parseFloat(row.lon);
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    payload.coords   = `${lat}, ${lon}`;
+    payload.location = { type: "Point", coordinates: [lon, lat] };
+  }
+  return payload;
+}
+
+function countryError(payload) {
+  const codes = [];
+  if (payload.country != null) codes.push(payload.country);
+  if (Array.isArray(payload.countries)) codes.push(...payload.countries);
+  else if (payload.countries != null) return "countries must be an array of country codes";
+
+  const bad = codes.find((c) => !COUNTRY_CODE.test(String(c).toUpperCase()));
+  return bad === undefined ? null : `"${bad}" is not a 2-letter country code`;
+}
+
+function normalizeCountries(payload) {
+  if (payload.country != null) payload.country = String(payload.country).toUpperCase();
+  if (Array.isArray(payload.countries)) payload.countries = payload.countries.map((c) => String(c).toUpperCase());
+}
+
+// ---- Import ----
+
+// Returns { error: "page_not_found" } or
+// { list, dryRun, upsert, summary: { total, created, updated, failed }, results }.
+// Each result is { row, status: "created" | "updated" | "error", key?, name?,
+// error?, message?, fixes?, flags? } where row is 1-based. With dryRun the
+// statuses describe what would happen and nothing is written.
+// Without upsert an existing key is a duplicate_key error; with upsert the
+// row's fields are $set onto the existing entity.
+export async function importEntities(list, rows, { dryRun = false, upsert = false, actor } = {}) {
+  const db       = await connectToMongo();
+  const entities = db.collection("entities");
+
+  const page = await db.collection("pages").findOne({ key: list });
+  if (!page) return { error: "page_not_found" };
+
+  // Pass 1: validate and key every row.
+  const results  = [];
+  const planned  = [];
+  const seenKeys = new Map();
+  rows.forEach((row, i) => {
+    const n = i + 1;
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      results.push({ row: n, status: "error", error: "bad_row", message: "Row is not an object" });
+      return;
+    }
+
+    const payload = { ...row };
+    for (const field of RESERVED_FIELDS) delete payload[field];
+
+    const name = String(payload.name || "").trim();
+    if (!name) {
+      results.push({ row: n, status: "error", error: "missing_name", message: "Missing name" });
+      return;
+    }
+    payload.name = name;
+
+    const badCountry = countryError(payload);
+    if (badCountry) {
+      results.push({ row: n, status: "error", name, error: "bad_country_code", message: badCountry });
+      return;
+    }
+    normalizeCountries(payload);
+
+    const key = deriveEntityKey(page, payload);
+    if (!key) {
+      results.push({ row: n, status: "error", name, error: "bad_key", message: "Could not derive key" });
+      return;
+    }
+    if (seenKeys.has(key)) {
+      results.push({ row: n, status: "error", key, name, error: "duplicate_key", message: `Same key as row ${seenKeys.get(key)}` });
+      return;
+    }
+    seenKeys.set(key, n);
+
+    const result = { row: n, key, name };
+    results.push(result);
+    planned.push({ result, payload });
+  });
+
+  // Pass 2: match against existing entities and run hygiene over the batch.
+  const existing = new Map(
+    (await entities.find({ list, key: { $in: planned.map((p) => p.result.key) } }).toArray())
+      .map((doc) => [doc.key, doc])
+  );
+
+  for (const item of planned) {
+    const { result, payload } = item;
+    const current = existing.get(result.key);
+    if (current && !upsert) {
+      Object.assign(result, { status: "error", error: "duplicate_key", message: `Entity ${list}/${result.key} already exists` });
+      continue;
+    }
+
+    const errors = propsSchemaErrors(page, current ?? null, "props" in payload ? payload.props : current?.props);
+    if (errors.length) {
+      Object.assign(result, { status: "error", error: "invalid_props", message: errors.map((e) => e.message).join("; ") });
+      continue;
+    }
+
+    const candidate = { ...(current ?? {}), ...payload, list, key: result.key };
+    const { fixes, flagged } = await evaluate(candidate, IMPORT_RULES, { page });
+    for (const fix of fixes) Object.assign(payload, fix.patch);
+    if (fixes.length)   result.fixes = fixes.map((f) => ({ rule: f.rule, field: f.field, to: f.patch }));
+    if (flagged.length) result.flags = flagged.map((f) => ({ rule: f.rule, field: f.field, message: f.message }));
+
+    result.status = current ? "updated" : "created";
+    item.current  = current;
+  }
+
+  // Pass 3: write.
+  if (!dryRun) {
+    const now     = new Date();
+    const written = [];
+    for (const { result, payload, current } of planned) {
+      if (result.status === "created") {
+        const doc = { ...payload, list, key: result.key, searchKey: searchKeysFor(payload), version: 1, createdAt: payload.createdAt ?? now, updatedAt: now };
+        try {
+          await entities.insertOne(doc);
+        } catch (err) {
+          if (err?.code !== 11000) throw err;
+          Object.assign(result, { status: "error", error: "duplicate_key", message: `Entity ${list}/${result.key} already exists` });
+          continue;
+        }
+        await recordEntityRevision({ op: "create", before: null, after: doc, actor });
+        written.push(doc);
+      } else if (result.status === "updated") {
+        const doc = await applyEntityUpdate(
+          { _id: current._id },
+          { $set: { ...payload, updatedAt: now } },
+          { actor, expectedVersion: current.version ?? 0, embed: false }
+        );
+        if (!doc) Object.assign(result, { status: "error", error: "version_conflict", message: "Entity changed during import" });
+        else written.push(doc);
+      }
+    }
+    // One background pass over the whole batch rather than a request per row.
+    queueEmbeddings(written);
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    list,
+    dryRun,
+    upsert,
+    summary: { total: rows.length, created: count("created"), updated: count("updated"), failed: count("error") },
+    results,
+  };
+}
@@ -0,0 +1,119 @@
+// JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) for entity documents.
+// Pure functions — no database or HTTP dependencies. Patches are applied to a
+// copy; the input document is never mutated. Invalid patches throw an Error
+// with `badPatch: true` and leave nothing half-applied.
+
+import { isPlainObject } from "./utils.js";
+
+// Fields managed by the server that a patch may never touch.
+export const PROTECTED_FIELDS = ["_id", "list", "key", "version", "createdAt", "updatedAt", "wikiEmbedding", "embedding", "searchKey"];
+
+// The only top-level fields a JSON Patch path may start with.
+export const JSON_PATCH_ROOTS = ["props", "notes", "countries", "images"];
+
+// Keys that would reach an object's prototype instead of the object.
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+function badPatch(message) {
+  return Object.assign(new Error(message), { badPatch: true });
+}
+
+function assertWritable(field) {
+  if (PROTECTED_FIELDS.includes(field)) throw badPatch(`Field '${field}' cannot be patched`);
+}
+
+// Deep copy of plain objects and arrays; dates, ids and scalars are shared.
+function cloneJson(value) {
+  if (Array.isArray(value)) return value.map(cloneJson);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneJson(v)]));
+  return value;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ---- Merge patch ----
+
+function mergeValue(target, patch) {
+  if (!isPlainObject(patch)) return cloneJson(patch);
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [field, value] of Object.entries(patch)) {
+    if (UNSAFE_KEYS.includes(field)) continue;
+    if (value === null) delete result[field];
+    else result[field] = mergeValue(result[field], value);
+  }
+  return result;
+}
+
+// { props: { stations: 70 } } updates one prop and keeps the rest;
+// null removes a field, e.g. { props: { closed: null } }.
+export function applyMergePatch(doc, patch) {
+  if (!isPlainObject(patch)) throw badPatch("Merge patch must be a JSON object");
+  for (const field of Object.keys(patch)) assertWritable(field);
+  return mergeValue(doc, patch);
+}
+
+// ---- JSON Patch ----
+
+const SUPPORTED_OPS = ["add", "remove", "replace", "test"];
+
+function parsePointer(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) throw badPatch(`Invalid path '${path}'`);
+  return path.slice(1).split("/").map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function arrayIndex(array, token, { allowEnd }) {
+  if (allowEnd && token === "-") return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) throw badPatch(`Invalid array index '${token}'`);
+  const index = parseInt(token, 10);
+  if (index > array.length || (!allowEnd && index === array.length)) throw badPatch(`Array index ${index} out of range`);
+  return index;
+}
+
+function applyOperation(doc, operation, n) {
+  const { op, path, value } = operation || {};
+  if (!SUPPORTED_OPS.includes(op)) throw badPatch(`Operation ${n}: unsupported op '${op}'`);
+  if (op !== "remove" && !("value" in operation)) throw badPatch(`Operation ${n}: missing value`);
+
+  const tokens = parsePointer(path);
+  if (!tokens[0]) throw badPatch(`Operation ${n}: invalid path '${path}'`);
+  if (!JSON_PATCH_ROOTS.includes(tokens[0])) {
+    throw badPatch(`Operation ${n}: only ${JSON_PATCH_ROOTS.map((f) => `/${f}`).join(", ")} can be patched`);
+  }
+  if (tokens.some((token) => UNSAFE_KEYS.includes(token))) throw badPatch(`Operation ${n}: invalid path '${path}'`);
+
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    const child = Array.isArray(parent) ? parent[arrayIndex(parent, token, { allowEnd: false })] : parent[token];
+    if (!Array.isArray(child) && !isPlainObject(child)) throw badPatch(`Operation ${n}: path '${path}' does not exist`);
+    parent = child;
+  }
+
+  const last = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, last, { allowEnd: op === "add" });
+    if (op === "add")     parent.splice(index, 0, cloneJson(value));
+    if (op === "remove")  parent.splice(index, 1);
+    if (op === "replace") parent[index] = cloneJson(value);
+    if (op === "test" && !deepEqual(parent[index], value)) throw badPatch(`Operation ${n}: test failed at '${path}'`);
+    return;
+  }
+
+  const exists = Object.prototype.hasOwnProperty.call(parent, last);
+  if (op !== "add" && !exists) throw badPatch(`Operation ${n}: path '${path}' does not exist`);
+  if (op === "add" || op === "replace") parent[last] = cloneJson(value);
+  if (op === "remove") delete parent[last];
+  if (op === "test" && !deepEqual(parent[last], value)) throw badPatch(`Operation ${n}: test failed at '${path}'`);
+}
+
+// [{ op: "add", path: "/notes/-", value: "..." }, { op: "remove", path: "/props/closed" }]
+// Supports add, remove, replace and test. All operations apply or none do.
+export function applyJsonPatch(doc, operations) {
+  if (!Array.isArray(operations)) throw badPatch("JSON Patch must be an array of operations");
+  if (operations.length === 0) throw badPatch("JSON Patch is empty");
+
+  const result = cloneJson({ ...doc });
+  operations.forEach((operation, i) => applyOperation(result, operation, i));
+  return result;
+}
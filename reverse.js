@@ -0,0 +1,120 @@
+// reverse.js
+// Offline reverse geocoding: which country and first-level subdivision
+// (state, province, region) a point lies in, from the Natural Earth boundary
+// dataset bundled at data/boundaries.json (REVERSE_GEOCODE_DATA overrides the
+// path). The dataset is built by scripts/build-boundaries.js:
+//
+//   { source, precision, subdivisions: [{ country: "US", countryName, code: "NY", name, polygons }] }
+//
+// where polygons are lists of rings (outer first, then holes), each an encoded
+// polyline at `precision` decimals. Countries are the union of their
+// subdivisions. Subdivision codes are the part of the ISO 3166-2 code after
+// the country, as entities store them in `state`.
+// server.js calls loadBoundaries() at startup; nothing here touches the
+// network or MongoDB.
+
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { decodePolyline, bboxOf, inBbox, pointInPolygons, distanceToPolygonsKm } from "./geo.js";
+
+const DEFAULT_DATA = fileURLToPath(new URL("./data/boundaries.json", import.meta.url));
+
+// Points within this distance of another country's boundary also list that
+// country in `countries`. Also how far offshore a point can be and still get
+// the nearest country and subdivision, since coastlines are simplified.
+export const BORDER_KM = 3;
+
+// One entry per polygon, each with its own bbox, so a country's far-flung
+// islands and overseas regions don't make it a candidate everywhere.
+let parts = null;
+
+// Reads and decodes the dataset. Resolves false when the file is missing.
+export async function loadBoundaries() {
+  const path = process.env.REVERSE_GEOCODE_DATA || DEFAULT_DATA;
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      console.warn(`[reverse] no boundary dataset at ${path} — reverse geocoding disabled`);
+      return false;
+    }
+    throw err;
+  }
+  if (!Array.isArray(data.subdivisions)) {
+    throw new Error(`${path} is not a boundary dataset (expected a subdivisions array)`);
+  }
+
+  const loaded = [];
+  for (const s of data.subdivisions) {
+    const subdivision = { country: s.country, countryName: s.countryName, code: s.code, name: s.name };
+    for (const rings of s.polygons) {
+      const polygon = rings.map((ring) => decodePolyline(ring, data.precision));
+      if (polygon.some((ring) => !ring || ring.length < 4)) {
+        throw new Error(`${path}: malformed ring in ${s.country}-${s.code}`);
+      }
+      loaded.push({ subdivision, polygons: [polygon], bbox: bboxOf([polygon]) });
+    }
+  }
+  parts = loaded;
+  console.log(`[reverse] loaded ${data.subdivisions.length} subdivisions (${parts.length} polygons) from ${path}`);
+  return true;
+}
+
+export function reverseGeocodingAvailable() {
+  return parts !== null;
+}
+
+// The country and subdivision containing [lon, lat], or the nearest within
+// BORDER_KM; and — when it is within BORDER_KM of a border — every country
+// that close, the containing one first.
+// Returns { country, countryName, state, stateName, countries } with nulls
+// where nothing matched (e.g. open sea), or null when no dataset is loaded.
+export function reverseGeocode(lon, lat) {
+  if (!parts) return null;
+  const point = [lon, lat];
+
+  const candidates = parts.filter((p) => inBbox(point, p.bbox, BORDER_KM));
+  const containing = candidates.find((p) => inBbox(point, p.bbox) && pointInPolygons(point, p.polygons));
+
+  // Nearest polygon edge per country, skipping the containing country:
+  // only other countries matter for `countries`.
+  const nearest = new Map();
+  for (const p of candidates) {
+    const { country } = p.subdivision;
+    if (country === containing?.subdivision.country) continue;
+    const distanceKm = distanceToPolygonsKm(point, p.polygons);
+    if (distanceKm > BORDER_KM) continue;
+    if (!nearest.has(country) || distanceKm < nearest.get(country).distanceKm) {
+      nearest.set(country, { subdivision: p.subdivision, distanceKm });
+    }
+  }
+  const close = [...nearest.values()].sort((a, b) => a.distanceKm - b.distanceKm);
+
+  const match = containing?.subdivision ?? close[0]?.subdivision ?? null;
+  const codes = [...(containing ? [containing.subdivision.country] : []), ...close.map((c) => c.subdivision.country)];
+  return {
+    country:     match?.country ?? null,
+    countryName: match?.countryName ?? null,
+    state:       match?.code ?? null,
+    stateName:   match?.name ?? null,
+    countries:   codes.length > 1 ? codes : null,
+  };
+}
+
+// The place fields an entity is missing, filled in from its location:
+// country, state (when country is unset or agrees), and countries for points
+// near a border. Returns a $set patch, or null when there's nothing to add.
+export function reversePlaceFields(entity) {
+  const coordinates = entity?.location?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+  const place = reverseGeocode(coordinates[0], coordinates[1]);
+  if (!place?.country) return null;
+
+  const patch   = {};
+  const country = entity.country || place.country;
+  if (!entity.country) patch.country = place.country;
+  if (!entity.state && place.state && country === place.country) patch.state = place.state;
+  if ((!entity.countries || entity.countries.length === 0) && place.countries) patch.countries = place.countries;
+  return Object.keys(patch).length ? patch : null;
+}
@@ -3,6 +3,8 @@
 // POST /agents/hygiene       { entityId }
 // POST /agents/hygiene/batch {}
 // POST /agents/projects      { dryRun? }
+// POST /agents/embeddings    { limit?, restart?, all? }
+// GET  /agents/embeddings/status
 //
 // All endpoints require admin auth (requireAdminSession middleware from server.js).
 
@@ -10,7 +12,9 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { runForEntity, runBatch } from "../agents/hygiene.js";
 import { run as runProjects } from "../agents/projects.js";
+import { run as runEmbeddings, getStatus as getEmbeddingStatus } from "../agents/embeddings.js";
 import { getRecentRuns } from "../agents/runRecords.js";
+import { embeddingsConfigured } from "../embeddings.js";
 
 export const agentsRouter = express.Router();
 
@@ -95,3 +99,42 @@ agentsRouter.get("/projects/recent", async (req, res) => {
     return res.status(500).json({ error: err.message });
   }
 });
+
+// POST /agents/embeddings — continue (or restart) the embedding backfill
+agentsRouter.post("/embeddings", async (req, res) => {
+  const { limit = 2000, restart = false, all = false } = req.body ?? {};
+  const max = parseInt(limit);
+  if (!Number.isInteger(max) || max < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+  if (!embeddingsConfigured()) {
+    return res.status(503).json({ error: "embedding provider not configured" });
+  }
+  try {
+    const result = await runEmbeddings("http", { limit: max, restart: Boolean(restart), all: Boolean(all) });
+    return res.json(result);
+  } catch (err) {
+    console.error("[agents/embeddings] error:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /agents/embeddings/status — model, stale count and backfill checkpoint
+agentsRouter.get("/embeddings/status", async (req, res) => {
+  try {
+    return res.json(await getEmbeddingStatus());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /agents/embeddings/recent — recent backfill runs
+agentsRouter.get("/embeddings/recent", async (req, res) => {
+  const hours = parseInt(req.query.hours ?? "24");
+  try {
+    const runs = await getRecentRuns("embeddings", hours);
+    return res.json({ runs });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
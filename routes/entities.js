@@ -4,11 +4,13 @@
 
 import express from "express";
 import {
-  getEntity, createEntity, updateEntity, enrichEntity, appendEntityImages, deleteEntity,
+  getPage, getEntity, createEntity, updateEntity, patchEntity, moveEntity, enrichEntity, appendEntityImages, deleteEntity,
+  getEntityHistory, revertEntity,
   getBingoEntities,
-  getEntitiesNearPoint, getEntitiesNearEntity,
+  getEntitiesNearPoint, getEntitiesNearEntity, getEntitiesWithin, getEntitiesAlongRoute, getNearestEntities, getEntityClusters, planEntityRoute,
   searchByName, queryByProps,
-  searchByVector, getSimilarEntities, embedText,
+  searchByVector, getSimilarEntities, hybridSearch,
+  logSearch,
 } from "../database.js";
 import {
   imageUploadsConfigured,
@@ -17,29 +19,100 @@ import {
   isValidEntityImageFilename,
   presignImageUploadPair,
 } from "../aws.js";
+import { embeddingsConfigured, embedText } from "../embeddings.js";
+import { importEntities, csvRowToPayload, MAX_IMPORT_ROWS } from "../importer.js";
+import { parseCsv, parseNdjson } from "../formats.js";
+import { parseBbox, bboxToGeometry, checkAreaGeometry, checkLineString, decodePolyline } from "../geo.js";
 import { requireAdminSession } from "./auth.js";
-import { strip, stripKeepSummary, cleanError } from "./middleware.js";
+import { strip, stripKeepSummary, cleanError, adminActor, etagFor, parseIfMatch, parseFacetRefinements } from "./middleware.js";
 
 export const entitiesRouter = express.Router();
 
+// Routes that parse their own JSON body, with a bigger limit than the global
+// parser's 100kb; server.js leaves them alone.
+const OWN_JSON_PATHS = [/^\/entities\/(within|along-route)\/?$/, /^\/entities\/[^/]+\/import\/?$/];
+
+export function parsesOwnJson(path) {
+  return OWN_JSON_PATHS.some((pattern) => pattern.test(path));
+}
+
+function invalidProps(res, errors) {
+  return res.status(400).json({ error: "invalid_props", message: errors.map((e) => e.message).join("; "), errors });
+}
+
 function requireS3(res) {
   if (imageUploadsConfigured()) return true;
   res.status(503).json({ error: "unavailable", message: "S3 upload not configured" });
   return false;
 }
 
+function badCursor(res) {
+  return res.status(400).json({ error: "bad_request", message: "Invalid cursor" });
+}
+
+// ?country=FR,DE&been=true|false&city=Paris for vector search and similar.
+// list is read by the caller. Returns { filters } or { message } when invalid.
+function parseVectorFilters(query) {
+  const filters = {};
+  if (query.country) {
+    const codes = String(query.country).split(",").map((c) => c.trim().toUpperCase()).filter(Boolean);
+    const bad   = codes.find((c) => !/^[A-Z]{2}$/.test(c));
+    if (bad) return { message: `"${bad}" is not a 2-letter country code` };
+    filters.country = codes.length === 1 ? codes[0] : codes;
+  }
+  if (query.been != null) {
+    if (query.been !== "true" && query.been !== "false") return { message: "been must be true or false" };
+    filters.been = query.been === "true";
+  }
+  if (query.city) filters.city = String(query.city);
+  return { filters };
+}
+
+// ?list=metros,trams&been=true|false for the map-oriented geo queries.
+// Returns { filters: { listFilter, been } } or { message } when invalid.
+function parseGeoFilters(query) {
+  const filters = { listFilter: null, been: null };
+  if (query.list) {
+    const lists = String(query.list).split(",").map((l) => l.trim()).filter(Boolean);
+    filters.listFilter = lists.length === 1 ? lists[0] : lists;
+  }
+  if (query.been != null) {
+    if (query.been !== "true" && query.been !== "false") return { message: "been must be true or false" };
+    filters.been = query.been === "true";
+  }
+  return { filters };
+}
+
 // ---- Name / vector search ----
 
 entitiesRouter.get("/", async (req, res) => {
+  const hybridQuery = req.query.q      ? String(req.query.q).trim()      : null;
   const nameQuery   = req.query.name   ? String(req.query.name).trim()   : null;
   const searchQuery = req.query.search ? String(req.query.search).trim() : null;
   const listFilter  = req.query.list   ? String(req.query.list)          : null;
   const limit       = Math.min(parseInt(req.query.limit) || 50, 50);
+  const cursor      = req.query.cursor ? String(req.query.cursor)        : null;
 
+  // Name + semantic search fused into one ranking; not paginated.
+  if (hybridQuery) {
+    try {
+      const result = await hybridSearch(hybridQuery, { listFilter, limit: Math.min(parseInt(req.query.limit) || 20, 50) });
+      return res.json({ q: hybridQuery, semantic: result.semantic, results: result.results.map(strip) });
+    } catch (err) {
+      console.error("GET /entities?q= failed:", err);
+      return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+    }
+  }
+
+  const { refine, message: facetMessage } = parseFacetRefinements(req.query);
+  if (facetMessage) return res.status(400).json({ error: "bad_request", message: facetMessage });
+
+  // The first page of each carries facet counts; later pages omit them.
   if (nameQuery) {
     try {
-      const results = await searchByName(nameQuery, { listFilter, limit });
-      return res.json({ name: nameQuery, results: results.map(strip) });
+      const result = await searchByName(nameQuery, { listFilter, limit, cursor, refine, facets: true });
+      if (result.error === "bad_cursor") return badCursor(res);
+      return res.json({ name: nameQuery, fuzzy: result.fuzzy, results: result.results.map(strip), facets: result.facets, nextCursor: result.nextCursor });
     } catch (err) {
       console.error("GET /entities?name= failed:", err);
       return res.status(500).json({ error: "internal_error", message: cleanError(err) });
@@ -47,20 +120,31 @@ entitiesRouter.get("/", async (req, res) => {
   }
 
   if (searchQuery) {
-    if (!process.env.OPENAI_API_KEY) {
+    const { filters, message } = parseVectorFilters(req.query);
+    if (message) return res.status(400).json({ error: "bad_request", message });
+    if (!embeddingsConfigured()) {
       return res.status(503).json({ error: "unavailable", message: "Semantic search not configured" });
     }
+    // Only the first page is logged, so paging through results counts once.
+    const started = Date.now();
+    const logged  = (entry) => !cursor && logSearch({
+      source: "entities", query: searchQuery, tools: ["vectorSearch"],
+      args: { list: listFilter, ...filters, ...(refine ? { facet: refine } : {}) }, latencyMs: Date.now() - started, ...entry,
+    });
     try {
-      const vector  = await embedText(searchQuery);
-      const results = await searchByVector(vector, { listFilter, limit });
-      return res.json({ query: searchQuery, results: results.map(strip) });
+      const vector = await embedText(searchQuery);
+      const result = await searchByVector(vector, { listFilter, ...filters, limit, cursor, refine, facets: true });
+      if (result.error === "bad_cursor") return badCursor(res);
+      logged({ resultCount: result.results.length });
+      return res.json({ query: searchQuery, results: result.results.map(strip), facets: result.facets, nextCursor: result.nextCursor });
     } catch (err) {
+      logged({ error: cleanError(err) });
       console.error("GET /entities?search= failed:", err);
       return res.status(500).json({ error: "internal_error", message: cleanError(err) });
     }
   }
 
-  return res.status(400).json({ error: "bad_request", message: "Missing ?name= or ?search=" });
+  return res.status(400).json({ error: "bad_request", message: "Missing ?q=, ?name= or ?search=" });
 });
 
 // ---- Bingo ----
@@ -105,36 +189,219 @@ entitiesRouter.get("/nearby", async (req, res) => {
   const radiusKm   = parseFloat(req.query.radius) || 50;
   const listFilter = req.query.list ? String(req.query.list) : null;
   const limit      = Math.min(parseInt(req.query.limit) || 50, 100);
+  const cursor     = req.query.cursor ? String(req.query.cursor) : null;
 
   if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: "bad_request", message: "Missing or invalid ?lat= and ?lon=" });
+  const { refine, message } = parseFacetRefinements(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
 
   try {
-    const results = await getEntitiesNearPoint(lon, lat, { radiusKm, listFilter, limit });
-    return res.json({ lat, lon, radiusKm, results: results.map(strip) });
+    const result = await getEntitiesNearPoint(lon, lat, { radiusKm, listFilter, limit, cursor, refine, facets: true });
+    if (result.error === "bad_cursor") return badCursor(res);
+    return res.json({ lat, lon, radiusKm, results: result.results.map(strip), facets: result.facets, nextCursor: result.nextCursor });
   } catch (err) {
     console.error("GET /entities/nearby failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
 });
 
+// ---- Geo: nearest, no radius ----
+
+entitiesRouter.get("/nearest", async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const k   = Math.min(Math.max(parseInt(req.query.k) || 10, 1), 100);
+  if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: "bad_request", message: "Missing or invalid ?lat= and ?lon=" });
+  if (req.query.onePerList != null && req.query.onePerList !== "true" && req.query.onePerList !== "false") {
+    return res.status(400).json({ error: "bad_request", message: "onePerList must be true or false" });
+  }
+  const onePerList = req.query.onePerList === "true";
+  const { filters, message } = parseGeoFilters(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+
+  try {
+    const results = await getNearestEntities(lon, lat, { k, ...filters, onePerList });
+    return res.json({ lat, lon, k, onePerList, results: results.map(strip) });
+  } catch (err) {
+    console.error("GET /entities/nearest failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+// ---- Geo: within a bounding box or polygon ----
+
+async function sendEntitiesWithin(req, res, route, geometry, extra) {
+  const { filters, message } = parseGeoFilters(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const limit  = Math.min(parseInt(req.query.limit) || 100, 500);
+  const cursor = req.query.cursor ? String(req.query.cursor) : null;
+  try {
+    const result = await getEntitiesWithin(geometry, { ...filters, limit, cursor });
+    if (result.error === "bad_cursor")   return badCursor(res);
+    if (result.error === "bad_geometry") return res.status(400).json({ error: "bad_request", message: `Invalid geometry: ${result.message}` });
+    return res.json({ ...extra, results: result.results.map(strip), nextCursor: result.nextCursor });
+  } catch (err) {
+    console.error(`${route} failed:`, err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+}
+
+entitiesRouter.get("/within", async (req, res) => {
+  if (!req.query.bbox) return res.status(400).json({ error: "bad_request", message: "Missing ?bbox=minLon,minLat,maxLon,maxLat" });
+  const { bbox, message } = parseBbox(req.query.bbox);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  return sendEntitiesWithin(req, res, "GET /entities/within", bboxToGeometry(bbox), { bbox });
+});
+
+// Room for the 10,000 positions checkAreaGeometry and checkLineString allow
+// at full precision.
+const geometryJson = express.json({ limit: "1mb" });
+
+// Body: a GeoJSON Polygon or MultiPolygon, bare or as a Feature's geometry.
+entitiesRouter.post("/within", geometryJson, async (req, res) => {
+  const geometry = req.body?.type === "Feature" ? req.body.geometry : req.body;
+  const message  = checkAreaGeometry(geometry);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  return sendEntitiesWithin(req, res, "POST /entities/within", geometry, { type: geometry.type });
+});
+
+// ---- Geo: map clusters ----
+
+// ?zoom= is a web map zoom level; ?bbox= defaults to the whole world.
+entitiesRouter.get("/clusters", async (req, res) => {
+  const zoom = Number(req.query.zoom);
+  if (req.query.zoom == null || !Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+    return res.status(400).json({ error: "bad_request", message: "zoom must be an integer from 0 to 22" });
+  }
+  const { bbox, message: bboxMessage } = parseBbox(req.query.bbox ?? "-180,-90,180,90");
+  if (bboxMessage) return res.status(400).json({ error: "bad_request", message: bboxMessage });
+  const { filters, message } = parseGeoFilters(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+
+  try {
+    const result = await getEntityClusters(bboxToGeometry(bbox), { zoom, ...filters });
+    return res.json({ bbox, zoom, ...result });
+  } catch (err) {
+    console.error("GET /entities/clusters failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+// ---- Geo: along a route ----
+
+const MAX_CORRIDOR_KM = 100;
+
+// Body: { route: GeoJSON LineString (or a Feature holding one) | polyline:
+// encoded polyline with optional precision 5|6, corridorKm }.
+entitiesRouter.post("/along-route", geometryJson, async (req, res) => {
+  const body = req.body ?? {};
+  let coordinates;
+  if (body.polyline != null) {
+    const precision = body.precision ?? 5;
+    if (precision !== 5 && precision !== 6) return res.status(400).json({ error: "bad_request", message: "precision must be 5 or 6" });
+    coordinates = decodePolyline(body.polyline, precision);
+    const message = coordinates ? checkLineString({ type: "LineString", coordinates }) : "polyline is not a valid encoded polyline";
+    if (message) return res.status(400).json({ error: "bad_request", message });
+  } else if (body.route != null) {
+    const route   = body.route?.type === "Feature" ? body.route.geometry : body.route;
+    const message = checkLineString(route);
+    if (message) return res.status(400).json({ error: "bad_request", message });
+    coordinates = route.coordinates;
+  } else {
+    return res.status(400).json({ error: "bad_request", message: "Missing route (GeoJSON LineString) or polyline" });
+  }
+
+  const corridorKm = body.corridorKm ?? 10;
+  if (typeof corridorKm !== "number" || !(corridorKm > 0) || corridorKm > MAX_CORRIDOR_KM) {
+    return res.status(400).json({ error: "bad_request", message: `corridorKm must be a number between 0 and ${MAX_CORRIDOR_KM}` });
+  }
+
+  const { filters, message } = parseGeoFilters(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const limit  = Math.min(parseInt(req.query.limit) || 50, 500);
+  const cursor = req.query.cursor ? String(req.query.cursor) : null;
+
+  try {
+    const result = await getEntitiesAlongRoute(coordinates, { corridorKm, ...filters, limit, cursor });
+    if (result.error === "bad_cursor") return badCursor(res);
+    if (result.error === "too_many_candidates") {
+      return res.status(400).json({ error: "bad_request", message: `More than ${result.max} entities near this route — narrow it with ?list= or a smaller corridorKm` });
+    }
+    return res.json({ corridorKm, lengthKm: result.lengthKm, results: result.results.map(strip), nextCursor: result.nextCursor });
+  } catch (err) {
+    console.error("POST /entities/along-route failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+// ---- Geo: visit order ----
+
+const MAX_PLAN_STOPS = 50;
+
+// A [lon, lat] position or { lat, lon }. Returns [lon, lat], or null when invalid.
+function parsePosition(value) {
+  const [lon, lat] = Array.isArray(value) ? value : [value?.lon, value?.lat];
+  const ok = Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+  return ok ? [lon, lat] : null;
+}
+
+// Body: { stops: [{ list, key }], start?, end? } with start/end as positions.
+entitiesRouter.post("/route-plan", async (req, res) => {
+  const body = req.body ?? {};
+  if (!Array.isArray(body.stops) || body.stops.length === 0) {
+    return res.status(400).json({ error: "bad_request", message: "Missing non-empty stops array of { list, key }" });
+  }
+  if (body.stops.some((s) => typeof s?.list !== "string" || typeof s?.key !== "string" || !s.list || !s.key)) {
+    return res.status(400).json({ error: "bad_request", message: "Each stop must be { list, key }" });
+  }
+  const stops = [...new Map(body.stops.map((s) => [`${s.list}/${s.key}`, { list: s.list, key: s.key }])).values()];
+  if (stops.length > MAX_PLAN_STOPS) {
+    return res.status(400).json({ error: "bad_request", message: `At most ${MAX_PLAN_STOPS} stops` });
+  }
+
+  const start = body.start != null ? parsePosition(body.start) : null;
+  const end   = body.end   != null ? parsePosition(body.end)   : null;
+  if (body.start != null && !start) return res.status(400).json({ error: "bad_request", message: "start must be [lon, lat] or { lat, lon }" });
+  if (body.end   != null && !end)   return res.status(400).json({ error: "bad_request", message: "end must be [lon, lat] or { lat, lon }" });
+
+  try {
+    const result = await planEntityRoute(stops, { start, end });
+    const names  = (refs) => refs.map((r) => `${r.list}/${r.key}`).join(", ");
+    if (result.error === "not_found")   return res.status(404).json({ error: "not_found", message: `Entities not found: ${names(result.missing)}`, missing: result.missing });
+    if (result.error === "no_location") return res.status(400).json({ error: "bad_request", message: `Entities without a location: ${names(result.missing)}`, missing: result.missing });
+    return res.json({
+      ...(start ? { start } : {}),
+      ...(end ? { end } : {}),
+      stops:    result.stops.map(strip),
+      legs:     result.legs,
+      totalKm:  result.totalKm,
+      geometry: result.geometry,
+    });
+  } catch (err) {
+    console.error("POST /entities/route-plan failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 // ---- Props query ----
 
 entitiesRouter.get("/:list/props", async (req, res) => {
   const { list } = req.params;
   const limit    = Math.min(parseInt(req.query.limit) || 50, 50);
-  const sortBy   = req.query.sortBy  ? String(req.query.sortBy)  : null;
-  const sortDir  = req.query.sortDir === "asc" ? 1 : -1;
+  const filter   = req.query.filter ? String(req.query.filter) : "";
+  const cursor   = req.query.cursor ? String(req.query.cursor) : null;
 
-  let filter = {};
-  if (req.query.filter) {
-    try { filter = JSON.parse(req.query.filter); }
-    catch { return res.status(400).json({ error: "bad_request", message: "Invalid ?filter= JSON" }); }
-  }
+  // sortBy/sortDir predate ?sort= and still work for a single field.
+  const sort = req.query.sort
+    ? String(req.query.sort)
+    : req.query.sortBy ? `${req.query.sortBy}:${req.query.sortDir === "asc" ? "asc" : "desc"}` : null;
 
   try {
-    const result = await queryByProps(list, filter, { limit, sortBy, sortDir });
+    const result = await queryByProps(list, filter, { limit, sort, cursor });
     if (result.error === "page_not_found") return res.status(404).json({ error: "page_not_found", message: `No page found for key='${list}'` });
-    return res.json({ list, filter, results: result.results.map(strip) });
+    if (result.error === "bad_cursor")     return badCursor(res);
+    if (result.error === "bad_filter")     return res.status(400).json({ error: "bad_request", message: result.message });
+    return res.json({ list, filter, sort, results: result.results.map(strip), nextCursor: result.nextCursor });
   } catch (err) {
     console.error("GET /entities/:list/props failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
@@ -146,8 +413,11 @@ entitiesRouter.get("/:list/props", async (req, res) => {
 entitiesRouter.get("/:list/:key/similar", async (req, res) => {
   const { list, key } = req.params;
   const limit = Math.min(parseInt(req.query.limit) || 50, 50);
+  const { filters, message } = parseVectorFilters(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const listFilter = req.query.list ? String(req.query.list) : null;
   try {
-    const result = await getSimilarEntities(list, key, { limit });
+    const result = await getSimilarEntities(list, key, { listFilter, ...filters, limit });
     if (result.error === "not_found")    return res.status(404).json({ error: "not_found", message: "Entity not found" });
     if (result.error === "no_embedding") return res.status(404).json({ error: "not_found", message: "Entity has no embedding" });
     return res.json({ list, key, results: result.results.map(strip) });
@@ -163,17 +433,58 @@ entitiesRouter.get("/:list/:key/nearby", async (req, res) => {
   const { list, key } = req.params;
   const radiusKm = parseFloat(req.query.radius) || 50;
   const limit    = Math.min(parseInt(req.query.limit) || 50, 50);
+  const cursor   = req.query.cursor ? String(req.query.cursor) : null;
   try {
-    const result = await getEntitiesNearEntity(list, key, { radiusKm, limit });
+    const result = await getEntitiesNearEntity(list, key, { radiusKm, limit, cursor });
     if (result.error === "not_found")   return res.status(404).json({ error: "not_found", message: "Entity not found" });
     if (result.error === "no_location") return res.status(404).json({ error: "not_found", message: "Entity has no location" });
-    return res.json({ list, key, radiusKm, ...result.source, results: result.results.map(strip) });
+    if (result.error === "bad_cursor")  return badCursor(res);
+    return res.json({ list, key, radiusKm, ...result.source, results: result.results.map(strip), nextCursor: result.nextCursor });
   } catch (err) {
     console.error("GET /entities/:list/:key/nearby failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
 });
 
+// ---- History ----
+
+entitiesRouter.get("/:list/:key/history", requireAdminSession, async (req, res) => {
+  const { list, key } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  try {
+    const revisions = await getEntityHistory(list, key, { limit });
+    if (revisions.length === 0) return res.status(404).json({ error: "not_found", message: "No history for entity" });
+    return res.json({ list, key, revisions });
+  } catch (err) {
+    console.error("GET /entities/:list/:key/history failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+entitiesRouter.post("/:list/:key/revert", requireAdminSession, async (req, res) => {
+  const { list, key } = req.params;
+  const rev = parseInt(req.body?.rev);
+  if (!Number.isInteger(rev) || rev < 1) return res.status(400).json({ error: "bad_request", message: "Missing or invalid rev" });
+  const expectedVersion = parseIfMatch(req);
+  if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: "bad_request", message: "Invalid If-Match header" });
+  try {
+    const result = await revertEntity(list, key, rev, { actor: adminActor(req), expectedVersion });
+    if (result.error === "revision_not_found")      return res.status(404).json({ error: "not_found",   message: `No revision ${rev} for entity` });
+    if (result.error === "revision_not_restorable") return res.status(400).json({ error: "bad_request", message: `Revision ${rev} is a delete and has nothing to restore` });
+    if (result.error === "page_not_found")          return res.status(409).json({ error: "page_not_found", message: `Page '${list}' no longer exists; restore it first` });
+    if (result.error === "conflict")                return res.status(409).json({ error: "conflict",    message: "Entity already exists" });
+    if (result.error === "version_conflict") {
+      res.set("ETag", etagFor(result.current));
+      return res.status(412).json({ error: "precondition_failed", message: "Entity has been modified", current: result.current ? strip(result.current) : null });
+    }
+    res.set("ETag", etagFor(result.doc));
+    return res.json({ ok: true, revertedTo: rev, doc: strip(result.doc) });
+  } catch (err) {
+    console.error("POST /entities/:list/:key/revert failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 // ---- Single entity ----
 
 entitiesRouter.get("/:list/:key", async (req, res) => {
@@ -181,7 +492,8 @@ entitiesRouter.get("/:list/:key", async (req, res) => {
   try {
     const doc = await getEntity(list, key);
     if (!doc) return res.status(404).json({ error: "not_found", message: "Entity not found" });
-    return res.json(stripKeepSummary(doc));
+    res.set("ETag", etagFor(doc));
+    return res.json({ ...stripKeepSummary(doc), version: doc.version ?? 0 });
   } catch (err) {
     console.error("GET /entities/:list/:key failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
@@ -195,10 +507,12 @@ entitiesRouter.post("/:list", requireAdminSession, async (req, res) => {
   const payload  = { ...(req.body || {}) };
   delete payload._id; delete payload.list; delete payload.key;
   try {
-    const result = await createEntity(list, payload);
+    const result = await createEntity(list, payload, { actor: adminActor(req) });
     if (result.error === "page_not_found") return res.status(404).json({ error: "page_not_found", message: `No page found for key='${list}'` });
     if (result.error === "missing_name")   return res.status(400).json({ error: "bad_request",    message: "Missing name" });
     if (result.error === "bad_key")        return res.status(400).json({ error: "bad_request",    message: "Could not derive key" });
+    if (result.error === "invalid_props")  return invalidProps(res, result.errors);
+    res.set("ETag", etagFor(result.doc));
     return res.status(201).json(strip(result.doc));
   } catch (err) {
     if (err?.code === 11000 || String(err).includes("E11000")) return res.status(409).json({ error: "conflict", message: "Entity already exists" });
@@ -207,28 +521,143 @@ entitiesRouter.post("/:list", requireAdminSession, async (req, res) => {
   }
 });
 
+// ---- Import ----
+
+const NDJSON_TYPES = ["application/x-ndjson", "application/ndjson", "application/jsonl"];
+const importJson   = express.json({ limit: "10mb" });
+const importText   = express.text({ type: ["text/csv", "text/plain", ...NDJSON_TYPES], limit: "10mb" });
+
+// JSON arrays arrive through importJson; CSV and NDJSON as text. ?format=
+// overrides the Content-Type. CSV cells are typed by the page's props schema.
+function importRows(req, page) {
+  const format = req.query.format
+    ? String(req.query.format).toLowerCase()
+    : req.is("text/csv") ? "csv"
+    : req.is(NDJSON_TYPES) ? "ndjson"
+    : "json";
+
+  if (format === "csv")    return parseCsv(req.body).map((row) => csvRowToPayload(row, page?.propsSchema));
+  if (format === "ndjson") return parseNdjson(req.body);
+  if (format !== "json")   throw Object.assign(new Error("format must be json, ndjson or csv"), { badFormat: true });
+
+  const body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  if (!Array.isArray(body)) throw Object.assign(new Error("Expected a JSON array of entities"), { badFormat: true });
+  return body;
+}
+
+entitiesRouter.post("/:list/import", requireAdminSession, importJson, importText, async (req, res) => {
+  const { list } = req.params;
+  const dryRun   = req.query.dryRun === "true";
+  const upsert   = req.query.upsert === "true";
+
+  try {
+    const rows = importRows(req, await getPage(list));
+    if (rows.length === 0)              return res.status(400).json({ error: "bad_request", message: "No rows to import" });
+    if (rows.length > MAX_IMPORT_ROWS) return res.status(400).json({ error: "bad_request", message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+
+    const result = await importEntities(list, rows, { dryRun, upsert, actor: adminActor(req) });
+    if (result.error === "page_not_found") return res.status(404).json({ error: "page_not_found", message: `No page found for key='${list}'` });
+    return res.json(result);
+  } catch (err) {
+    if (err.badFormat || err instanceof SyntaxError) return res.status(400).json({ error: "bad_request", message: err.message });
+    console.error("POST /entities/:list/import failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 // ---- Update ----
 
+// Send If-Match with the ETag from a previous read to avoid overwriting
+// someone else's edit; a stale version returns 412 with the current document.
 entitiesRouter.put("/:list/:key", requireAdminSession, async (req, res) => {
   const { list, key } = req.params;
   const patch = { ...(req.body || {}) };
-  delete patch._id; delete patch.list; delete patch.key;
+  delete patch._id; delete patch.list; delete patch.key; delete patch.version;
+  const expectedVersion = parseIfMatch(req);
+  if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: "bad_request", message: "Invalid If-Match header" });
   try {
-    const doc = await updateEntity(list, key, patch);
-    if (!doc) return res.status(404).json({ error: "not_found", message: "Entity not found" });
-    return res.json(strip(doc));
+    const result = await updateEntity(list, key, patch, { actor: adminActor(req), expectedVersion });
+    if (result.error === "not_found")     return res.status(404).json({ error: "not_found", message: "Entity not found" });
+    if (result.error === "invalid_props") return invalidProps(res, result.errors);
+    if (result.error === "version_conflict") {
+      res.set("ETag", etagFor(result.current));
+      return res.status(412).json({ error: "precondition_failed", message: "Entity has been modified", current: strip(result.current) });
+    }
+    res.set("ETag", etagFor(result.doc));
+    return res.json(strip(result.doc));
   } catch (err) {
     console.error("PUT /entities/:list/:key failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
 });
 
+// ---- Patch ----
+
+// Accepts an RFC 7396 merge patch (object body, application/merge-patch+json)
+// or an RFC 6902 JSON Patch (array body, application/json-patch+json).
+// Supports If-Match like PUT.
+entitiesRouter.patch("/:list/:key", requireAdminSession, async (req, res) => {
+  const { list, key } = req.params;
+  const body = req.body;
+  const type = req.is("application/json-patch+json") || Array.isArray(body) ? "json-patch" : "merge";
+  const expectedVersion = parseIfMatch(req);
+  if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: "bad_request", message: "Invalid If-Match header" });
+  try {
+    const result = await patchEntity(list, key, { type, body }, { actor: adminActor(req), expectedVersion });
+    if (result.error === "not_found") return res.status(404).json({ error: "not_found", message: "Entity not found" });
+    if (result.error === "bad_patch")     return res.status(400).json({ error: "bad_request", message: result.message });
+    if (result.error === "invalid_props") return invalidProps(res, result.errors);
+    if (result.error === "version_conflict") {
+      res.set("ETag", etagFor(result.current));
+      return res.status(412).json({ error: "precondition_failed", message: "Entity has been modified", current: strip(result.current) });
+    }
+    res.set("ETag", etagFor(result.doc));
+    return res.json(strip(result.doc));
+  } catch (err) {
+    console.error("PATCH /entities/:list/:key failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+// ---- Move ----
+
+// Body: { list?, name?, reference? } — the target list (default: the current
+// one) and optionally a new name/reference. The key is re-derived from the
+// target page's tags. Supports If-Match.
+entitiesRouter.post("/:list/:key/move", requireAdminSession, async (req, res) => {
+  const { list, key } = req.params;
+  const body   = req.body || {};
+  const toList = body.list != null ? String(body.list).trim() : list;
+  const expectedVersion = parseIfMatch(req);
+  if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: "bad_request", message: "Invalid If-Match header" });
+  if (!toList) return res.status(400).json({ error: "bad_request", message: "Missing list" });
+  try {
+    const result = await moveEntity(list, key, { toList, name: body.name, reference: body.reference }, { actor: adminActor(req), expectedVersion });
+    if (result.error === "not_found")      return res.status(404).json({ error: "not_found",      message: "Entity not found" });
+    if (result.error === "page_not_found") return res.status(404).json({ error: "page_not_found", message: `No page found for key='${toList}'` });
+    if (result.error === "property_page")  return res.status(400).json({ error: "bad_request",    message: `'${toList}' is a propertyOf page; entities can't be moved onto it` });
+    if (result.error === "bad_key")        return res.status(400).json({ error: "bad_request",    message: "Could not derive key" });
+    if (result.error === "s3_unavailable") return res.status(503).json({ error: "unavailable",    message: "S3 not configured; images can't be moved" });
+    if (result.error === "invalid_props")  return invalidProps(res, result.errors);
+    if (result.error === "key_conflict")   return res.status(409).json({ error: "conflict",       message: "An entity with the new key already exists", existing: strip(result.existing) });
+    if (result.error === "version_conflict") {
+      res.set("ETag", etagFor(result.current));
+      return res.status(412).json({ error: "precondition_failed", message: "Entity has been modified", current: strip(result.current) });
+    }
+    res.set("ETag", etagFor(result.doc));
+    return res.json({ from: result.from, entity: strip(result.doc) });
+  } catch (err) {
+    console.error("POST /entities/:list/:key/move failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 // ---- Enrich ----
 
 entitiesRouter.post("/:list/:key/enrich", requireAdminSession, async (req, res) => {
   const { list, key } = req.params;
   try {
-    const result = await enrichEntity(list, key);
+    const result = await enrichEntity(list, key, { actor: adminActor(req) });
     if (result.error === "not_found") return res.status(404).json({ error: "not_found", message: "Entity not found" });
     return res.json({ enriched: result.enriched, doc: strip(result.doc) });
   } catch (err) {
@@ -265,7 +694,7 @@ entitiesRouter.post("/:list/:key/images/complete", requireAdminSession, async (r
   if (clean.length === 0) return res.status(400).json({ error: "bad_request", message: "Missing filenames" });
   if (clean.some((n) => !isValidEntityImageFilename(key, n))) return res.status(400).json({ error: "bad_request", message: "Invalid filename for entity" });
   try {
-    const doc = await appendEntityImages(list, key, clean);
+    const doc = await appendEntityImages(list, key, clean, { actor: adminActor(req) });
     if (!doc) return res.status(404).json({ error: "not_found", message: "Entity not found" });
     return res.json({ ok: true, entity: strip(doc), added: clean });
   } catch (err) {
@@ -279,9 +708,9 @@ entitiesRouter.post("/:list/:key/images/complete", requireAdminSession, async (r
 entitiesRouter.delete("/:list/:key", requireAdminSession, async (req, res) => {
   const { list, key } = req.params;
   try {
-    const doc = await deleteEntity(list, key);
-    if (!doc) return res.status(404).json({ error: "not_found", message: "Entity not found" });
-    return res.json({ ok: true, deleted: strip(doc) });
+    const result = await deleteEntity(list, key, { actor: adminActor(req) });
+    if (!result) return res.status(404).json({ error: "not_found", message: "Entity not found" });
+    return res.json({ ok: true, deleted: strip(result.doc), trashId: result.trashId });
   } catch (err) {
     console.error("DELETE /entities/:list/:key failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
@@ -1,17 +1,19 @@
 // routes/lookup.js
 // Top-level lookup endpoints: /flags, /countries, /cities, /trips, /artists,
-// /search, /coords, /wiki
+// /search, /coords, /reverse, /wiki
 // Mounted at "/" in server.js.
 
 import express from "express";
 import {
   getFlagsData,
   getEntitiesByCountry, getEntitiesByCity, getEntitiesByTrip, getEntitiesByArtist,
+  logSearch, getFacetsForEntities,
 } from "../database.js";
 import { cityKeyToDisplayName } from "../utils.js";
-import { naturalLanguageSearch } from "../search.js";
+import { naturalLanguageSearch } from "../chat/search.js";
 import { getCoordsFromUrl } from "../wiki.js";
-import { strip, cleanError } from "./middleware.js";
+import { reverseGeocode } from "../reverse.js";
+import { strip, cleanError, parseFacetRefinements } from "./middleware.js";
 
 export const lookupRouter = express.Router();
 
@@ -74,10 +76,35 @@ lookupRouter.get("/artists/:key", async (req, res) => {
 lookupRouter.post("/search", async (req, res) => {
   const query = String(req.body?.query || "").trim();
   if (!query) return res.status(400).json({ error: "bad_request", message: "Missing query" });
+
+  // Refinements come from ?facet.list=… or a body { facet: { list, country, been, city } }.
+  const bodyFacet = req.body?.facet && typeof req.body.facet === "object" ? req.body.facet : {};
+  const { refine, message } = parseFacetRefinements({
+    ...req.query,
+    ...Object.fromEntries(Object.entries(bodyFacet).map(([k, v]) => [`facet.${k}`, [v].flat().join(",")])),
+  });
+  if (message) return res.status(400).json({ error: "bad_request", message });
+
+  const started = Date.now();
   try {
     const result = await naturalLanguageSearch(query);
-    return res.json({ ...result, results: result.results.map(strip) });
+    logSearch({
+      source:      "search",
+      query,
+      tools:       [result.tool ?? []].flat(),
+      args:        result.args ?? null,
+      resultCount: result.results.length,
+      latencyMs:   Date.now() - started,
+      icon:        result.icon ?? null,
+      corrected:   result.corrected,
+      error:       result.error,
+    });
+    const { facets, matching } = await getFacetsForEntities(result.results, refine);
+    const kept    = new Set(matching.map((r) => `${r.list}::${r.key}`));
+    const results = refine ? result.results.filter((r) => kept.has(`${r.list}::${r.key}`)) : result.results;
+    return res.json({ ...result, results: results.map(strip), facets });
   } catch (err) {
+    logSearch({ source: "search", query, latencyMs: Date.now() - started, error: cleanError(err) });
     console.error("POST /search failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
@@ -97,6 +124,27 @@ lookupRouter.get("/coords", async (req, res) => {
   }
 });
 
+// Offline: country and state from the bundled boundary dataset. country is
+// null offshore; countries lists every country within a few km of a border.
+lookupRouter.get("/reverse", (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: "bad_request", message: "Missing or invalid ?lat= and ?lon=" });
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({ error: "bad_request", message: "lat must be within ±90 and lon within ±180" });
+  }
+  try {
+    const place = reverseGeocode(lon, lat);
+    if (!place) {
+      return res.status(503).json({ error: "unavailable", message: "Boundary dataset not loaded" });
+    }
+    return res.json({ lat, lon, ...place });
+  } catch (err) {
+    console.error("GET /reverse failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 lookupRouter.get("/wiki", async (req, res) => {
   const q = String(req.query.q || "").trim();
   if (!q) return res.status(400).json({ error: "bad_request", message: "Missing ?q=" });
@@ -4,17 +4,66 @@
 // Strip internal fields from all responses.
 export function strip(doc) {
   if (!doc) return doc;
-  const { _id, wikiSummary, wikiEmbedding, enrichedAt, __isNew, ...rest } = doc;
+  const { _id, wikiSummary, wikiEmbedding, embedding, enrichedAt, searchKey, __isNew, ...rest } = doc;
   return rest;
 }
 
 // Strip internal fields but keep wikiSummary (for single-entity responses).
 export function stripKeepSummary(doc) {
   if (!doc) return doc;
-  const { _id, wikiEmbedding, enrichedAt, ...rest } = doc;
+  const { _id, wikiEmbedding, embedding, enrichedAt, searchKey, ...rest } = doc;
   return rest;
 }
 
+// Revision actor for writes made through an admin session (see requireAdminSession).
+export function adminActor(req) {
+  return { source: "admin", accountId: req.admin?.accountId ?? null, sessionId: req.admin?.sessionId ?? null };
+}
+
+// ---- Versions / ETags ----
+
+// Entities and pages are versioned; the ETag is the quoted version number.
+export function etagFor(doc) {
+  return `"${doc?.version ?? 0}"`;
+}
+
+// Parse an If-Match header into an expected version.
+// Returns null when absent or "*", NaN when it isn't one of our ETags.
+export function parseIfMatch(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return null;
+  const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+// ---- Facets ----
+
+// Facet refinements: ?facet.list=metros&facet.country=DE&facet.been=true&facet.city=Paris.
+// list and country take comma-separated values. Returns { refine } (null when
+// there are none) or { message } when invalid.
+export function parseFacetRefinements(query) {
+  const refine = {};
+  const values = (v) => String(v).split(",").map((s) => s.trim()).filter(Boolean);
+  const one    = (arr) => (arr.length === 1 ? arr[0] : arr);
+
+  const lists = query["facet.list"] != null ? values(query["facet.list"]) : [];
+  if (lists.length) refine.list = one(lists);
+
+  const codes = query["facet.country"] != null ? values(query["facet.country"]).map((c) => c.toUpperCase()) : [];
+  const bad   = codes.find((c) => !/^[A-Z]{2}$/.test(c));
+  if (bad) return { message: `"${bad}" is not a 2-letter country code` };
+  if (codes.length) refine.country = one(codes);
+
+  const been = query["facet.been"];
+  if (been != null) {
+    if (String(been) !== "true" && String(been) !== "false") return { message: "facet.been must be true or false" };
+    refine.been = String(been) === "true";
+  }
+
+  if (query["facet.city"]) refine.city = String(query["facet.city"]);
+  return { refine: Object.keys(refine).length ? refine : null };
+}
+
 export function cleanError(err) {
   if (!err) return err;
   if (typeof err === "string") return err;
@@ -2,9 +2,10 @@
 // GET/POST/PUT /pages and /pages/:id/entities
 
 import express from "express";
-import { getPage, getPages, getPageSummaries, getPageWithEntities, createPage, updatePage } from "../database.js";
+import { getPage, getPages, getPageSummaries, getPageWithEntities, getPropsSchema, createPage, updatePage, deletePage } from "../database.js";
+import { toCsv, toGeoJson, toKml, toGpx } from "../formats.js";
 import { requireAdminSession } from "./auth.js";
-import { strip, cleanError } from "./middleware.js";
+import { strip, cleanError, adminActor, etagFor, parseIfMatch } from "./middleware.js";
 
 export const pagesRouter = express.Router();
 
@@ -32,20 +33,27 @@ pagesRouter.get("/:id", async (req, res) => {
   try {
     const page = await getPage(req.params.id);
     if (!page) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
-    return res.json(strip(page));
+    res.set("ETag", etagFor(page));
+    return res.json({ ...strip(page), version: page.version ?? 0 });
   } catch (err) {
     console.error("GET /pages/:id failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
 });
 
+// Returns the whole list unless ?limit= or ?cursor= asks for a single page.
 pagesRouter.get("/:id/entities", async (req, res) => {
+  const cursor = req.query.cursor ? String(req.query.cursor) : null;
+  const paged  = !!(req.query.limit || cursor);
+  const limit  = paged ? Math.min(parseInt(req.query.limit) || 500, 1000) : null;
   try {
-    const result = await getPageWithEntities(req.params.id);
+    const result = await getPageWithEntities(req.params.id, { limit, cursor });
     if (!result) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
+    if (result.error === "bad_cursor") return res.status(400).json({ error: "bad_request", message: "Invalid cursor" });
     return res.json({
       "--info--": strip(result.page),
-      entities:  result.entities.map(strip),
+      entities:   result.entities.map(strip),
+      nextCursor: result.nextCursor,
     });
   } catch (err) {
     console.error("GET /pages/:id/entities failed:", err);
@@ -53,6 +61,47 @@ pagesRouter.get("/:id/entities", async (req, res) => {
   }
 });
 
+// ---- Props schema ----
+
+pagesRouter.get("/:id/schema", async (req, res) => {
+  try {
+    const schema = await getPropsSchema(req.params.id);
+    if (!schema) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
+    return res.json(schema);
+  } catch (err) {
+    console.error("GET /pages/:id/schema failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+// ---- Export ----
+
+const EXPORT_FORMATS = {
+  csv:     { type: "text/csv; charset=utf-8",                  render: (page, entities) => toCsv(entities) },
+  geojson: { type: "application/geo+json",                     render: (page, entities) => JSON.stringify(toGeoJson(page, entities)) },
+  kml:     { type: "application/vnd.google-earth.kml+xml",     render: toKml },
+  gpx:     { type: "application/gpx+xml",                      render: toGpx },
+};
+
+// The whole list as a download. propertyOf pages export their hoisted
+// prefix/reference like /pages/:id/entities does.
+pagesRouter.get("/:id/export", async (req, res) => {
+  const format   = String(req.query.format || "csv").toLowerCase();
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) return res.status(400).json({ error: "bad_request", message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  try {
+    const result = await getPageWithEntities(req.params.id);
+    if (!result) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
+    const page = strip(result.page);
+    res.set("Content-Type", exporter.type);
+    res.set("Content-Disposition", `attachment; filename="${page.key}.${format}"`);
+    return res.send(exporter.render(page, result.entities.map(strip)));
+  } catch (err) {
+    console.error("GET /pages/:id/export failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
 pagesRouter.post("/", requireAdminSession, async (req, res) => {
   const payload = { ...(req.body || {}) };
   delete payload._id;
@@ -61,6 +110,8 @@ pagesRouter.post("/", requireAdminSession, async (req, res) => {
     const result = await createPage(payload);
     if (result.error === "missing_name") return res.status(400).json({ error: "bad_request", message: "Missing name" });
     if (result.error === "bad_key")      return res.status(400).json({ error: "bad_request", message: "Could not derive key" });
+    if (result.error === "bad_schema")   return res.status(400).json({ error: "bad_request", message: result.message });
+    res.set("ETag", etagFor(result.doc));
     return res.status(201).json(strip(result.doc));
   } catch (err) {
     if (err?.code === 11000 || String(err).includes("E11000")) {
@@ -71,16 +122,38 @@ pagesRouter.post("/", requireAdminSession, async (req, res) => {
   }
 });
 
+// Supports If-Match like PUT /entities/:list/:key.
 pagesRouter.put("/:id", requireAdminSession, async (req, res) => {
   const patch = { ...(req.body || {}) };
   delete patch._id;
   delete patch.key;
+  delete patch.version;
+  const expectedVersion = parseIfMatch(req);
+  if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: "bad_request", message: "Invalid If-Match header" });
   try {
-    const doc = await updatePage(req.params.id, patch);
-    if (!doc) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
-    return res.json(strip(doc));
+    const result = await updatePage(req.params.id, patch, { expectedVersion });
+    if (result.error === "not_found")  return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
+    if (result.error === "bad_schema") return res.status(400).json({ error: "bad_request", message: result.message });
+    if (result.error === "version_conflict") {
+      res.set("ETag", etagFor(result.current));
+      return res.status(412).json({ error: "precondition_failed", message: "Page has been modified", current: strip(result.current) });
+    }
+    res.set("ETag", etagFor(result.doc));
+    return res.json(strip(result.doc));
   } catch (err) {
     console.error("PUT /pages/:id failed:", err);
     return res.status(500).json({ error: "internal_error", message: cleanError(err) });
   }
 });
+
+pagesRouter.delete("/:id", requireAdminSession, async (req, res) => {
+  try {
+    const result = await deletePage(req.params.id, { actor: adminActor(req) });
+    if (!result) return res.status(404).json({ error: "page_not_found", message: `No page found for key='${req.params.id}'` });
+    if (result.error === "not_empty") return res.status(409).json({ error: "conflict", message: "Page still has entities or property pages" });
+    return res.json({ ok: true, deleted: strip(result.doc), trashId: result.trashId });
+  } catch (err) {
+    console.error("DELETE /pages/:id failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
@@ -0,0 +1,66 @@
+// routes/searchLog.js
+// Search analytics over the search_log collection:
+// GET /search-log/top, /search-log/zero-results, /search-log/tools
+// Mounted at /search-log in server.js behind requireAdminSession.
+
+import express from "express";
+import {
+  getTopSearchQueries, getZeroResultQueries, getSearchToolDistribution,
+  SEARCH_LOG_SOURCES, SEARCH_LOG_BUCKETS,
+} from "../database.js";
+import { cleanError } from "./middleware.js";
+
+export const searchLogRouter = express.Router();
+
+// ?days= (default 30, max 365) and ?source=search|entities, shared by every endpoint.
+function parseWindow(query) {
+  const days   = Math.min(parseInt(query.days) || 30, 365);
+  const source = query.source ? String(query.source) : null;
+  if (days < 1) return { message: "days must be a positive integer" };
+  if (source && !SEARCH_LOG_SOURCES.includes(source)) {
+    return { message: `source must be one of ${SEARCH_LOG_SOURCES.join(", ")}` };
+  }
+  return { days, source };
+}
+
+searchLogRouter.get("/top", async (req, res) => {
+  const { days, source, message } = parseWindow(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  try {
+    const results = await getTopSearchQueries({ days, source, limit });
+    return res.json({ days, source, results });
+  } catch (err) {
+    console.error("GET /search-log/top failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+searchLogRouter.get("/zero-results", async (req, res) => {
+  const { days, source, message } = parseWindow(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  try {
+    const results = await getZeroResultQueries({ days, source, limit });
+    return res.json({ days, source, results });
+  } catch (err) {
+    console.error("GET /search-log/zero-results failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+searchLogRouter.get("/tools", async (req, res) => {
+  const { days, source, message } = parseWindow(req.query);
+  if (message) return res.status(400).json({ error: "bad_request", message });
+  const bucket = req.query.bucket ? String(req.query.bucket) : "day";
+  if (!SEARCH_LOG_BUCKETS.includes(bucket)) {
+    return res.status(400).json({ error: "bad_request", message: `bucket must be one of ${SEARCH_LOG_BUCKETS.join(", ")}` });
+  }
+  try {
+    const results = await getSearchToolDistribution({ days, source, bucket });
+    return res.json({ days, source, bucket, results });
+  } catch (err) {
+    console.error("GET /search-log/tools failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
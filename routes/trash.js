@@ -0,0 +1,44 @@
+// routes/trash.js
+// GET /trash and POST /trash/:id/restore — soft-deleted entities and pages.
+// Mounted at /trash in server.js behind requireAdminSession.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+import { getTrash, restoreFromTrash } from "../database.js";
+import { strip, cleanError, adminActor } from "./middleware.js";
+
+export const trashRouter = express.Router();
+
+function serializeTrash(item) {
+  const { _id, ...rest } = item;
+  return { id: String(_id), ...rest, doc: strip(item.doc) };
+}
+
+trashRouter.get("/", async (req, res) => {
+  const kind   = req.query.kind ? String(req.query.kind) : null;
+  const limit  = Math.min(parseInt(req.query.limit) || 50, 200);
+  const cursor = req.query.cursor ? String(req.query.cursor) : null;
+  if (kind && kind !== "entity" && kind !== "page") return res.status(400).json({ error: "bad_request", message: "kind must be entity or page" });
+  try {
+    const result = await getTrash({ kind, limit, cursor });
+    if (result.error === "bad_cursor") return res.status(400).json({ error: "bad_request", message: "Invalid cursor" });
+    return res.json({ results: result.results.map(serializeTrash), nextCursor: result.nextCursor });
+  } catch (err) {
+    console.error("GET /trash failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
+
+trashRouter.post("/:id/restore", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "bad_request", message: "Invalid trash id" });
+  try {
+    const result = await restoreFromTrash(new ObjectId(req.params.id), { actor: adminActor(req) });
+    if (result.error === "not_found") return res.status(404).json({ error: "not_found", message: "Trash item not found" });
+    if (result.error === "conflict")  return res.status(409).json({ error: "conflict", message: "A document with that key already exists" });
+    if (result.error === "page_not_found") return res.status(409).json({ error: "page_not_found", message: `Page '${result.list}' no longer exists; restore it first` });
+    return res.json({ ok: true, kind: result.kind, restored: strip(result.doc) });
+  } catch (err) {
+    console.error("POST /trash/:id/restore failed:", err);
+    return res.status(500).json({ error: "internal_error", message: cleanError(err) });
+  }
+});
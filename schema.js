@@ -0,0 +1,127 @@
+// schema.js
+// Per-list props schemas. A page may declare
+//
+//   propsSchema: [
+//     { name: "stations", type: "integer", required: true },
+//     { name: "length",   type: "number",  unit: "km" },
+//     { name: "status",   type: "string",  enum: ["open", "closed"] },
+//   ]
+//
+// and every write to an entity on that list is checked against it. Pages
+// without a propsSchema accept any props, as before.
+// Pure functions — no database or HTTP dependencies.
+
+import { isPlainObject } from "./utils.js";
+
+export const PROP_TYPES = ["string", "number", "integer", "boolean", "date", "array", "object"];
+
+const SCHEMA_KEYS = ["name", "type", "unit", "enum", "required", "description"];
+
+// "YYYY", "YYYY-MM" or "YYYY-MM-DD", the forms the hygiene rules normalise to.
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":  return typeof value === "string";
+    case "number":  return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "date":    return typeof value === "string" && DATE_PATTERN.test(value);
+    case "array":   return Array.isArray(value);
+    case "object":  return isPlainObject(value);
+    default:        return false;
+  }
+}
+
+// Returns an error message for a malformed propsSchema, or null.
+export function checkPropsSchema(schema) {
+  if (schema == null) return null;
+  if (!Array.isArray(schema)) return "propsSchema must be an array of fields";
+
+  const seen = new Set();
+  for (const [i, field] of schema.entries()) {
+    const at = `propsSchema[${i}]`;
+    if (!isPlainObject(field)) return `${at} must be an object`;
+    const unknown = Object.keys(field).find((k) => !SCHEMA_KEYS.includes(k));
+    if (unknown)                                             return `${at} has unknown key '${unknown}'`;
+    if (typeof field.name !== "string" || !field.name)       return `${at}.name must be a non-empty string`;
+    if (field.name.includes(".") || field.name.startsWith("$")) return `${at}.name can't contain '.' or start with '$'`;
+    if (seen.has(field.name))                                return `${at}: duplicate field '${field.name}'`;
+    if (!PROP_TYPES.includes(field.type))                    return `${at}.type must be one of ${PROP_TYPES.join(", ")}`;
+    if (field.unit != null && typeof field.unit !== "string") return `${at}.unit must be a string`;
+    if (field.required != null && typeof field.required !== "boolean") return `${at}.required must be a boolean`;
+    if (field.enum != null) {
+      if (!Array.isArray(field.enum) || field.enum.length === 0) return `${at}.enum must be a non-empty array`;
+      if (field.enum.some((v) => v === null || typeof v === "object")) return `${at}.enum must list scalar values`;
+    }
+    seen.add(field.name);
+  }
+  return null;
+}
+
+// Names of the props whose values differ between two props objects.
+export function changedProps(before, after) {
+  const a = before || {};
+  const b = after  || {};
+  return new Set(
+    [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter((name) => JSON.stringify(a[name]) !== JSON.stringify(b[name]))
+  );
+}
+
+// Validate props against a schema. Returns [{ field, message }], empty when
+// valid. With `only` (a Set of prop names) just those props are checked, so
+// an edit isn't blocked by an older value elsewhere on the entity; required
+// props are then only enforced if the edit removed them.
+export function validateProps(schema, props, { only = null } = {}) {
+  if (!Array.isArray(schema)) return [];
+
+  const errors = [];
+  if (props != null && !isPlainObject(props)) return [{ field: "props", message: "props must be an object" }];
+  const values = props || {};
+  const fields = new Map(schema.map((f) => [f.name, f]));
+
+  for (const [name, value] of Object.entries(values)) {
+    if (only && !only.has(name)) continue;
+    if (value == null) continue;
+
+    const field = fields.get(name);
+    if (!field) {
+      errors.push({ field: `props.${name}`, message: `'${name}' is not in this list's props schema` });
+      continue;
+    }
+    if (!matchesType(field.type, value)) {
+      const hint = field.type === "date" ? " (YYYY, YYYY-MM or YYYY-MM-DD)" : "";
+      errors.push({ field: `props.${name}`, message: `'${name}' must be of type ${field.type}${hint}` });
+      continue;
+    }
+    if (field.enum) {
+      const items = Array.isArray(value) ? value : [value];
+      const bad   = items.find((v) => !field.enum.includes(v));
+      if (bad !== undefined) {
+        errors.push({ field: `props.${name}`, message: `'${name}' must be one of ${field.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+      }
+    }
+  }
+
+  for (const field of schema) {
+    if (!field.required) continue;
+    if (only && !only.has(field.name)) continue;
+    if (values[field.name] == null) {
+      errors.push({ field: `props.${field.name}`, message: `'${field.name}' is required` });
+    }
+  }
+
+  return errors;
+}
+
+// Coerce a query value (often a string from a URL or a model) to the
+// field's type where that's unambiguous; anything else is returned as is.
+export function coercePropValue(field, value) {
+  if (typeof value !== "string") return value;
+  if ((field.type === "number" || field.type === "integer") && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (field.type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
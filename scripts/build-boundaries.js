@@ -0,0 +1,144 @@
+// scripts/build-boundaries.js
+// Builds data/boundaries.json, the dataset reverse.js uses for offline reverse
+// geocoding, from Natural Earth's 10m admin-1 states and provinces GeoJSON.
+// Admin-1 covers all land, so countries are the union of their subdivisions
+// and no admin-0 file is needed. Run with:
+//   node scripts/build-boundaries.js <admin-1.geojson> [out.json]
+//
+// The committed file was built from geojson-places@1.0.8's data/build.json,
+// an unmodified copy of ne_10m_admin_1_states_provinces:
+//   npm pack geojson-places@1.0.8 && tar xzf geojson-places-1.0.8.tgz
+//   node scripts/build-boundaries.js package/data/build.json
+//
+// Rings are simplified to SIMPLIFY_DEG (well inside Natural Earth's own
+// accuracy at 1:10m) and stored as encoded polylines at PRECISION decimals.
+// Features without an ISO 3166-2 code (disputed areas, leased bases) are
+// skipped and counted.
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname } from "path";
+
+const PRECISION    = 4;
+const SIMPLIFY_DEG = 0.0005;
+
+const [inputPath, outPath = "data/boundaries.json"] = process.argv.slice(2);
+if (!inputPath) {
+  console.error("Usage: node scripts/build-boundaries.js <admin-1.geojson> [out.json]");
+  process.exit(1);
+}
+
+const ISO_A2 = /^[A-Z]{2}$/;
+
+// ---- Geometry ----
+
+// Squared distance from p to segment ab, in degrees.
+function segmentDistance2([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t  = dx || dy ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy))) : 0;
+  return (ax + t * dx - px) ** 2 + (ay + t * dy - py) ** 2;
+}
+
+// Douglas–Peucker, iterative. Keeps the first and last positions.
+function simplify(points, tolerance) {
+  if (points.length <= 4) return points;
+  const keep  = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  const tol2  = tolerance * tolerance;
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let worst = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance2(points[i], points[first], points[last]);
+      if (d > worst) { worst = d; index = i; }
+    }
+    if (index !== -1 && worst > tol2) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Rounded, simplified ring. A ring that simplifies away (a small island) is
+// kept at full detail instead so it doesn't disappear.
+function prepareRing(ring) {
+  const factor  = 10 ** PRECISION;
+  const rounded = [];
+  for (const [lon, lat] of ring) {
+    const p    = [Math.round(lon * factor) / factor, Math.round(lat * factor) / factor];
+    const last = rounded[rounded.length - 1];
+    if (!last || last[0] !== p[0] || last[1] !== p[1]) rounded.push(p);
+  }
+  if (rounded.length < 4) return null;
+  const simplified = simplify(rounded, SIMPLIFY_DEG);
+  return simplified.length >= 4 ? simplified : rounded;
+}
+
+// The inverse of decodePolyline in geo.js: [lon, lat] positions → text.
+function encodePolyline(points) {
+  const factor = 10 ** PRECISION;
+  let out  = "";
+  let pLat = 0;
+  let pLon = 0;
+  const encode = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    out += String.fromCharCode(v + 63);
+  };
+  for (const [lon, lat] of points) {
+    const iLat = Math.round(lat * factor);
+    const iLon = Math.round(lon * factor);
+    encode(iLat - pLat);
+    encode(iLon - pLon);
+    pLat = iLat;
+    pLon = iLon;
+  }
+  return out;
+}
+
+// Polygon or MultiPolygon geometry → polygons of encoded rings, or null.
+function encodeGeometry(geometry) {
+  const polygons = geometry?.type === "Polygon" ? [geometry.coordinates]
+    : geometry?.type === "MultiPolygon" ? geometry.coordinates
+    : null;
+  if (!polygons) return null;
+  const encoded = [];
+  for (const polygon of polygons) {
+    const [outer, ...holes] = polygon.map(prepareRing);
+    if (!outer) continue;
+    encoded.push([outer, ...holes.filter(Boolean)].map(encodePolyline));
+  }
+  return encoded.length ? encoded : null;
+}
+
+// ---- Build ----
+
+const input = JSON.parse(readFileSync(inputPath, "utf8"));
+if (!Array.isArray(input.features)) throw new Error(`${inputPath} is not a GeoJSON FeatureCollection`);
+
+// admin-1 codes are ISO 3166-2 ("US-NY", "FR-75"); entities store the part
+// after the country in `state`.
+const subdivisions = [];
+let skipped = 0;
+for (const feature of input.features) {
+  const props    = feature.properties ?? {};
+  const iso      = String(props.iso_3166_2 ?? "");
+  const country  = String(props.iso_a2 ?? "").toUpperCase();
+  const code     = iso.startsWith(`${country}-`) ? iso.slice(country.length + 1) : null;
+  const polygons = encodeGeometry(feature.geometry);
+  if (!ISO_A2.test(country) || !code || !polygons) { skipped++; continue; }
+  subdivisions.push({ country, countryName: props.admin ?? country, code, name: props.name ?? code, polygons });
+}
+subdivisions.sort((a, b) => a.country.localeCompare(b.country) || a.code.localeCompare(b.code));
+
+const source = "Natural Earth 10m admin-1 states and provinces (public domain), https://www.naturalearthdata.com";
+mkdirSync(dirname(outPath), { recursive: true });
+writeFileSync(outPath, JSON.stringify({ source, precision: PRECISION, subdivisions }));
+const countries = new Set(subdivisions.map((s) => s.country)).size;
+console.log(`Wrote ${subdivisions.length} subdivisions in ${countries} countries to ${outPath} (skipped ${skipped} without an ISO code or polygon)`);
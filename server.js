@@ -3,16 +3,19 @@ import express from "express";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 
-import { ensureIndexes } from "./database.js";
+import { ensureIndexes, backfillSearchKeys } from "./database.js";
 import { authRouter, requireAdminSession } from "./routes/auth.js";
 import { pagesRouter } from "./routes/pages.js";
-import { entitiesRouter } from "./routes/entities.js";
+import { entitiesRouter, parsesOwnJson } from "./routes/entities.js";
 import { lookupRouter } from "./routes/lookup.js";
 import { chatRouter, preloadChats } from "./routes/chat.js";
 import { agentsRouter } from "./routes/agents.js";
+import { trashRouter } from "./routes/trash.js";
+import { searchLogRouter } from "./routes/searchLog.js";
 import { imagineRouter } from "./routes/imagine.js";
 import { animalsRouter } from "./routes/animals.js";
 import { initScheduler } from "./agents/scheduler.js";
+import { loadBoundaries } from "./reverse.js";
 
 dotenv.config();
 
@@ -28,7 +31,8 @@ if (!process.env.SESSION_PEPPER)    { console.error("Missing SESSION_PEPPER");
 const PORT = process.env.PORT || 3000;
 
 const app = express();
-app.use(express.json());
+const JSON_TYPES = ["application/json", "application/merge-patch+json", "application/json-patch+json"];
+app.use(express.json({ type: (req) => !parsesOwnJson(req.path) && Boolean(req.is(JSON_TYPES)) }));
 app.use(cookieParser());
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
 app.use(cors({
@@ -53,9 +57,11 @@ app.use("/pages",    pagesRouter);
 app.use("/entities", entitiesRouter);
 app.use("/imagine",  imagineRouter);
 app.use("/animals",  animalsRouter);
-app.use("/",         lookupRouter);   // /flags, /countries, /cities, /trips, /artists, /search, /coords, /wiki
+app.use("/",         lookupRouter);   // /flags, /countries, /cities, /trips, /artists, /search, /coords, /reverse, /wiki
 app.use("/chat",     chatRouter);
 app.use("/agents",   requireAdminSession, agentsRouter);
+app.use("/trash",    requireAdminSession, trashRouter);
+app.use("/search-log", requireAdminSession, searchLogRouter);
 
 // ---- Index ----
 
@@ -67,9 +73,12 @@ app.get("/", (_req, res) => {
     "GET  /pages",
     "GET  /pages/summaries",
     "GET  /pages/:id",
-    "GET  /pages/:id/entities",
+    "GET  /pages/:id/entities?limit=&cursor=",
+    "GET  /pages/:id/schema",
+    "GET  /pages/:id/export?format=csv|geojson|kml|gpx",
     "POST /pages                       (admin)",
     "PUT  /pages/:id                   (admin)",
+    "DELETE /pages/:id                 (admin)",
     "POST /admin/login",
     "POST /admin/logout",
     "GET  /admin/me",
@@ -78,31 +87,52 @@ app.get("/", (_req, res) => {
     "GET  /cities/:key",
     "GET  /trips/:key",
     "GET  /artists/:key",
-    "GET  /entities?name=&list=&limit=",
-    "GET  /entities?search=&list=&limit=",
+    "GET  /entities?q=&list=&limit=",
+    "GET  /entities?name=&list=&limit=&cursor=",
+    "GET  /entities?search=&list=&country=&been=&city=&limit=&cursor=",
     "POST /entities/bingo",
-    "GET  /entities/nearby?lat=&lon=&radius=&list=&limit=",
-    "GET  /entities/:list/props?filter=&sortBy=&sortDir=&limit=",
+    "GET  /entities/nearby?lat=&lon=&radius=&list=&limit=&cursor=",
+    "GET  /entities/nearest?lat=&lon=&k=&list=&been=&onePerList=",
+    "GET  /entities/within?bbox=&list=&been=&limit=&cursor=",
+    "POST /entities/within?list=&been=&limit=&cursor=",
+    "GET  /entities/clusters?bbox=&zoom=&list=&been=",
+    "POST /entities/along-route?list=&been=&limit=&cursor=",
+    "POST /entities/route-plan",
+    "GET  /entities/:list/props?filter=&sort=&limit=&cursor=",
     "GET  /entities/:list/:key",
-    "GET  /entities/:list/:key/nearby?radius=&limit=",
-    "GET  /entities/:list/:key/similar",
+    "GET  /entities/:list/:key/nearby?radius=&limit=&cursor=",
+    "GET  /entities/:list/:key/similar?list=&country=&been=&city=",
     "POST /entities/:list                      (admin)",
+    "POST /entities/:list/import               (admin)",
     "PUT  /entities/:list/:key                 (admin)",
+    "PATCH /entities/:list/:key                (admin)",
+    "POST /entities/:list/:key/move            (admin)",
     "POST /entities/:list/:key/enrich          (admin)",
     "POST /entities/:list/:key/images/presign  (admin)",
     "POST /entities/:list/:key/images/complete (admin)",
     "DELETE /entities/:list/:key               (admin)",
+    "GET  /entities/:list/:key/history         (admin)",
+    "POST /entities/:list/:key/revert          (admin)",
     "POST /chat/hello",
     "POST /chat/senza",
     "POST /chat/railfan               (admin)",
     "POST /search",
     "GET  /coords?url=&list=",
+    "GET  /reverse?lat=&lon=",
     "GET  /wiki?q=",
+    "GET  /trash?kind=&limit=&cursor= (admin)",
+    "POST /trash/:id/restore          (admin)",
+    "GET  /search-log/top?days=&source=&limit=          (admin)",
+    "GET  /search-log/zero-results?days=&source=&limit= (admin)",
+    "GET  /search-log/tools?days=&source=&bucket=       (admin)",
     "POST /agents/hygiene              (admin)",
     "POST /agents/hygiene/batch        (admin)",
     "GET  /agents/hygiene/recent       (admin)",
     "POST /agents/projects             (admin)",
     "GET  /agents/projects/recent      (admin)",
+    "POST /agents/embeddings           (admin)",
+    "GET  /agents/embeddings/status    (admin)",
+    "GET  /agents/embeddings/recent    (admin)",
     "GET  /imagine/prompts",
     "GET  /imagine/prompts/:id",
     "GET  /imagine/models",
@@ -118,8 +148,12 @@ app.get("/", (_req, res) => {
   try {
     await ensureIndexes();
     await preloadChats();
+    await loadBoundaries();
     app.listen(PORT, () => console.log(`API listening on http://localhost:${PORT}`));
     await initScheduler();
+    backfillSearchKeys()
+      .then(({ updated }) => updated && console.log(`[search] backfilled searchKey on ${updated} entities`))
+      .catch(err => console.error("[search] searchKey backfill failed:", err.message));
   } catch (err) {
     console.error("Startup failed:", err);
     process.exit(1);
@@ -63,3 +63,91 @@ export function cityKeyToDisplayName(key) {
 
   return parts.map(toTitleCaseWord).join(" ");
 }
+
+export function isPlainObject(value) {
+  return value != null && typeof value === "object" && value.constructor === Object;
+}
+
+// Field-level diff between two versions of a document.
+// Plain objects (e.g. props) are walked so changes are reported on dotted paths
+// like "props.stations"; arrays, dates and ids are compared as whole values.
+// Returns [{ field, from, to }] — `from`/`to` are undefined when a field was added/removed.
+export function diffFields(before, after, { ignore = [], prefix = "" } = {}) {
+  const a = before || {};
+  const b = after  || {};
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const path = prefix ? `${prefix}.${field}` : field;
+    if (ignore.includes(path)) continue;
+
+    const from = a[field];
+    const to   = b[field];
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffFields(from, to, { ignore, prefix: path }));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field: path, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Escape a string for literal use inside a RegExp.
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ---- Name search ----
+
+// Letters NFD doesn't decompose into a base letter plus accents.
+const FOLDED_LETTERS = {
+  "ß": "ss", "æ": "ae", "œ": "oe", "ø": "o", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "ı": "i",
+};
+
+// Lowercase, fold diacritics ("Malmö" → "malmo", "Straße" → "strasse") and
+// replace punctuation with spaces, so names compare on their letters alone.
+export function normalizeSearchText(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[ßæœøłđðþı]/g, (c) => FOLDED_LETTERS[c])
+    .replace(/['’`]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// The normalized forms of an entity's name and its alternate names
+// (`aliases`), stored on the entity as `searchKey` for name search.
+export function searchKeysFor(entity) {
+  const names = [entity?.name, ...(Array.isArray(entity?.aliases) ? entity.aliases : [])];
+  return [...new Set(names.map(normalizeSearchText).filter(Boolean))];
+}
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions,
+// so "dusseldrof" is one edit from "dusseldorf". Gives up early and returns
+// max + 1 once the distance is known to exceed `max`.
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev     = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best  = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev     = row;
+  }
+  return prev[b.length];
+}